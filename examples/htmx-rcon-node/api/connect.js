@@ -17,6 +17,7 @@ module.exports = async (req, res) => {
   const host = (req.body?.host || '').trim();
   const port = (req.body?.port || '28016').trim();
   const password = req.body?.password || '';
+  const tz = req.body?.tz || '';
 
   if (!host || !password) {
     return res.status(200).send(connectForm('Enter a server IP and RCON password'));
@@ -24,7 +25,7 @@ module.exports = async (req, res) => {
 
   try {
     await testConnection(host, port, password);
-    return res.status(200).send(consoleView(host, port, password, null));
+    return res.status(200).send(consoleView(host, port, password, null, tz));
   } catch (err) {
     return res.status(200).send(connectForm(err.message));
   }
@@ -11,23 +11,30 @@ function esc(str) {
     .replace(/"/g, '&quot;');
 }
 
-/** CSS class for terminal line colorization by content. */
-function lineClass(line) {
-  const s = (line || '').trim();
-  if (/^\[OpenAI\]/.test(s)) return 'log-openai';
-  if (/^\[CSharp\]/.test(s)) return 'log-csharp';
-  if (/^\[event\]/.test(s)) return 'log-event';
-  if (/^Error\b/i.test(s)) return 'log-error';
-  if (/shutting down|shutdown|compiler/i.test(s)) return 'log-warn';
-  if (/loaded plugin/i.test(s)) return 'log-plugin';
-  if (/network group|dynamicpreventbuilding|prefab/i.test(s)) return 'log-game';
-  return 'log-default';
+// Console lines use the library's "terminal" template preset, so these fragments
+// match what createRconBridge({ templates: 'terminal' }) renders.
+const { presets, lineClass } = require('rcon-htmx/lib/templates');
+const { createClock, negotiateLocale } = require('rcon-htmx/lib/time');
+
+const terminal = presets.terminal;
+const helpers = { escape: esc, markup: esc, render: (kind, ctx) => terminal[kind](ctx, helpers) };
+
+/**
+ * Clock for a request: the browser's language from Accept-Language, and the time
+ * zone the connect form sent (the server's if none or an unknown one).
+ */
+function clockFor(req, timeZone) {
+  const locale = negotiateLocale(req.headers['accept-language']);
+  try {
+    return createClock({ locale, timeZone: timeZone || undefined });
+  } catch {
+    return createClock({ locale });
+  }
 }
 
-/** Single terminal line: content left, timestamp right. */
+/** Single terminal line: content left, timestamp (a <time> element) right. */
 function terminalLine(line, time) {
-  const cls = lineClass(line);
-  return `<div class="terminal-line ${cls} fade-in"><span class="terminal-text">${esc(line)}</span><span class="terminal-time">${time}</span></div>`;
+  return terminal.line({ text: line, html: esc(line), time }, helpers);
 }
 
 /** The connect form (initial state + after disconnect) */
@@ -44,6 +51,7 @@ function connectForm(error) {
         ${errorHtml}
         <form
           hx-post="/api/connect"
+          hx-vals='js:{tz: Intl.DateTimeFormat().resolvedOptions().timeZone}'
           hx-target="#app"
           hx-swap="innerHTML"
           hx-indicator="#connect-spin"
@@ -69,17 +77,18 @@ function connectForm(error) {
 }
 
 /** The console view (after successful connect) */
-function consoleView(host, port, password, _initialResponse) {
+function consoleView(host, port, password, _initialResponse, tz = '') {
   const initial = '';
 
-  // Encode credentials for the SSE stream URL
-  const streamUrl = `/api/stream?host=${encodeURIComponent(host)}&port=${encodeURIComponent(port)}&password=${encodeURIComponent(password)}`;
+  // Encode credentials (and the browser's time zone) for the SSE stream URL
+  const streamUrl = `/api/stream?host=${encodeURIComponent(host)}&port=${encodeURIComponent(port)}&password=${encodeURIComponent(password)}&tz=${encodeURIComponent(tz)}`;
 
   return `
     <div id="creds" style="display:none">
       <input type="hidden" name="host" value="${esc(host)}">
       <input type="hidden" name="port" value="${esc(port)}">
       <input type="hidden" name="password" value="${esc(password)}">
+      <input type="hidden" name="tz" value="${esc(tz)}">
     </div>
 
     <div class="console-wrap">
@@ -123,22 +132,19 @@ function consoleView(host, port, password, _initialResponse) {
     </div>`;
 }
 
-/** Single command response fragment — terminal style: > cmd on first line, then output lines with time on right. */
-function commandResponse(cmd, output) {
-  const time = new Date().toLocaleTimeString('en-US', { hour12: true });
-  const lines = output.split('\n').filter(Boolean);
-  const cmdLine = `<div class="terminal-line log-cmd fade-in"><span class="terminal-text">&gt; ${esc(cmd)}</span><span class="terminal-time">${time}</span></div>`;
-  const outLines = lines.length
-    ? lines.map(l => terminalLine(l, time)).join('')
-    : `<div class="terminal-line log-default fade-in"><span class="terminal-text">(no output)</span><span class="terminal-time">${time}</span></div>`;
-  return `<div class="rcon-response">${cmdLine}${outLines}</div>`;
+/**
+ * Single command response fragment — terminal style: > cmd and how long it took on
+ * the first line, then output lines with time on right.
+ */
+function commandResponse(cmd, output, clock, ms) {
+  const time = clock.time();
+  const lines = output.split('\n').filter(Boolean).map(l => terminalLine(l, time)).join('');
+  return terminal.response({ command: cmd, text: output, lines, time, duration: esc(clock.duration(ms)) }, helpers);
 }
 
 /** Error fragment */
 function errorResponse(message) {
-  return `<div class="rcon-error fade-in">
-    <span class="rcon-error-icon">!</span> ${esc(message)}
-  </div>`;
+  return terminal.error({ message }, helpers);
 }
 
-module.exports = { esc, lineClass, terminalLine, connectForm, consoleView, commandResponse, errorResponse };
+module.exports = { esc, lineClass, clockFor, terminalLine, connectForm, consoleView, commandResponse, errorResponse };
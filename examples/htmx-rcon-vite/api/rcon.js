@@ -1,10 +1,10 @@
 const { execRcon } = require('./_lib/rcon');
-const { commandResponse, errorResponse } = require('./_lib/html');
+const { clockFor, commandResponse, errorResponse } = require('./_lib/html');
 
 /**
  * POST /api/rcon
  * Send a command to Rust RCON, return HTML fragment.
- * Expects: host, port, password, command (from form + hx-include).
+ * Expects: host, port, password, tz, command (from form + hx-include).
  */
 module.exports = async (req, res) => {
   res.setHeader('Content-Type', 'text/html; charset=utf-8');
@@ -27,8 +27,10 @@ module.exports = async (req, res) => {
   }
 
   try {
+    const started = Date.now();
     const output = await execRcon(host, port, password, command);
-    return res.status(200).send(commandResponse(command, output));
+    const clock = clockFor(req, req.body?.tz);
+    return res.status(200).send(commandResponse(command, output, clock, Date.now() - started));
   } catch (err) {
     return res.status(200).send(errorResponse(err.message));
   }
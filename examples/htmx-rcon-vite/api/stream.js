@@ -1,9 +1,9 @@
 const WebSocket = require('ws');
 const http = require('http');
-const { esc, terminalLine } = require('./_lib/html');
+const { esc, clockFor, terminalLine } = require('./_lib/html');
 
 /**
- * GET /api/stream?host=...&port=...&password=...
+ * GET /api/stream?host=...&port=...&password=...&tz=...
  *
  * SSE endpoint that holds a persistent WebSocket to Rust RCON
  * and streams all server traffic as HTML fragments.
@@ -23,6 +23,7 @@ module.exports = (req, res) => {
   const host = url.searchParams.get('host');
   const port = url.searchParams.get('port') || '28016';
   const password = url.searchParams.get('password');
+  const clock = clockFor(req, url.searchParams.get('tz'));
 
   if (!host || !password) {
     res.writeHead(400, { 'Content-Type': 'text/plain' });
@@ -71,7 +72,7 @@ module.exports = (req, res) => {
         const text = msg.Message || '';
         if (!text.trim()) return; // skip empty
 
-        const time = new Date().toLocaleTimeString('en-US', { hour12: true });
+        const time = clock.time();
         const lines = text.split('\n').filter(Boolean);
         const body = lines.map(l => terminalLine(l, time)).join('');
 
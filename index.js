@@ -3,24 +3,70 @@
 const { createBridge } = require('./lib/bridge');
 const { RconConnection } = require('./lib/rcon');
 const { RconWebSocket } = require('./lib/rcon-ws');
-const { createFormatter } = require('./lib/formatter');
+const { RconMinecraft } = require('./lib/rcon-minecraft');
+const { RconBattlEye } = require('./lib/rcon-battleye');
+const { createFormatter, createConsoleWindow, renderColors } = require('./lib/formatter');
+const { presets: templatePresets } = require('./lib/templates');
+const { createPool } = require('./lib/pool');
+const { CommandQueue } = require('./lib/queue');
+const { RconTimeoutError } = require('./lib/errors');
+const { createPolicy, fromHeader, fromCookie, fromJwtClaim } = require('./lib/policy');
+const { createAudit, jsonLinesSink, rotatingFileSink, memorySink } = require('./lib/audit');
+const { registerProtocol, listProtocols } = require('./lib/protocols');
+const { parseRustMessage } = require('./lib/rust-console');
+const { PlayerTracker, parseSourceStatus, parseRustPlayerList } = require('./lib/players');
+const { MetricsSampler, createMetrics } = require('./lib/metrics');
+const { Scheduler, createScheduleHandler } = require('./lib/scheduler');
+const { createMacros, runMacro } = require('./lib/macros');
+const { createHistory } = require('./lib/history');
+const { createJsonFormatter, createTextFormatter } = require('./lib/output');
+const { createClock, negotiateLocale } = require('./lib/time');
+const { createMockSourceServer, createMockRustServer } = require('./lib/mock-server');
 
 /**
  * Attach an RCON-to-WebSocket bridge to an HTTP server.
  *
  * @param {import('http').Server} httpServer - Node HTTP/HTTPS server
  * @param {Object} options
+ * @param {string}  [options.protocol='source'] - Registered protocol: 'source', 'minecraft', 'rust', 'battleye' or your own
  * @param {string}   options.host        - RCON server hostname
- * @param {number}  [options.port=27015] - RCON server port
+ * @param {number}  [options.port=27015] - RCON server port (defaults to the protocol's defaultPort)
  * @param {string}   options.password    - RCON password (required if authMode is 'server')
+ * @param {Object}  [options.servers]   - Named servers: { id: { protocol, host, port, password, label } }, picked with {"server": id}
+ * @param {string}  [options.defaultServer] - Server id each session connects to on open
  * @param {string}  [options.path='/ws/rcon'] - WebSocket endpoint path
  * @param {'server'|'client'} [options.authMode='server'] - Who provides RCON credentials
  * @param {number}  [options.timeout=5000]    - Connection/command timeout in ms
+ * @param {boolean|Object} [options.pool=true] - Share one RCON client per server across browser sessions
+ * @param {Object}  [options.queue]     - Per-connection throttling: { maxInFlight, minSpacing, maxQueued }
+ * @param {Object}  [options.rateLimit] - Per-browser limits: { burst, perSecond, maxInFlight }
+ * @param {boolean|Object} [options.reconnect=false] - Reconnect with backoff when the game server drops
+ * @param {boolean|Object} [options.metrics=false]   - Sample server metrics into #rcon-metrics: true, { interval, size } or createMetrics()
+ * @param {Scheduler} [options.scheduler]     - Scheduled commands, run against host or the servers registry
+ * @param {boolean|Object} [options.players=false]   - Poll the player list into #rcon-players: { interval, leaveDelay, command, parse }
+ * @param {string}  [options.output='html']  - Default output mode: 'html', 'json' or 'text'; clients pick theirs by subprotocol or ?output=
  * @param {string}  [options.targetId='rcon-output'] - htmx OOB swap target element ID
  * @param {string}  [options.swapStyle='beforeend']  - htmx OOB swap strategy
+ * @param {boolean} [options.streamOutput=false] - Stream long Source/Minecraft responses as packets arrive
+ * @param {number}  [options.maxLines]  - Keep #rcon-output to about this many lines, deleting the oldest blocks
+ * @param {string|Object} [options.templates='minimal'] - Template set: 'minimal', 'terminal', 'daisyui' or { preset, ...overrides }
  * @param {Function} [options.formatLine]    - Custom line formatter: (text, meta) => string
+ * @param {string}  [options.locale='en-US']  - Fallback locale for times; sessions use Accept-Language or {"locale": ...} first
+ * @param {string}  [options.timeZone]  - IANA time zone for times; sessions can send {"timeZone": ...}
+ * @param {Object|Function} [options.timeFormat] - Intl.DateTimeFormat options or (date, { locale, timeZone }) => string
+ * @param {boolean} [options.relativeTime=false] - Show schedule and audit times as "5 minutes ago", absolute in the title
+ * @param {boolean} [options.showDuration=false] - Show how long each command took next to its response
+ * @param {boolean|string[]} [options.colors=false] - Render colour codes as class-based spans: true, or a list of protocol names
  * @param {Function} [options.onConnect]     - Callback when a session connects: (ws, rcon) => void
+ * @param {Function} [options.authenticate]  - Upgrade auth: (req) => identity, falsy to reject; identity becomes ws.user
+ * @param {string[]|Function} [options.allowedOrigins] - Origin allow-list for the WebSocket upgrade
+ * @param {Object}  [options.policy]    - Role-based command authorization: { roles, resolveRole, defaultRole }
+ * @param {Object}  [options.audit]     - Audit log: createAudit() instance or { sinks, maxResponseLength }
+ * @param {Object}  [options.macros]    - Named macros: { name: { description, params, steps } }, run with {"macro": name, "params": {...}}
+ * @param {boolean|Object} [options.history=false] - Per-user command history with recall and search: true, { max, dedup } or createHistory()
  * @param {Function} [options.onCommand]     - Command filter: (command, ws) => false to block
+ * @param {Function} [options.onResult]      - Outcome hook: ({ command, response, timedOut, partial, error, duration }, ws) => void
+ * @param {Function} [options.onEvent]       - Parsed Rust console events: (event, ws) => void
  * @returns {import('ws').WebSocketServer}
  *
  * @example
@@ -66,5 +112,41 @@ module.exports = {
   // Also export lower-level pieces for advanced usage
   RconConnection,
   RconWebSocket,
+  RconMinecraft,
+  RconBattlEye,
   createFormatter,
+  createConsoleWindow,
+  renderColors,
+  templatePresets,
+  createJsonFormatter,
+  createTextFormatter,
+  createClock,
+  negotiateLocale,
+  createPool,
+  CommandQueue,
+  RconTimeoutError,
+  createPolicy,
+  fromHeader,
+  fromCookie,
+  fromJwtClaim,
+  createAudit,
+  jsonLinesSink,
+  rotatingFileSink,
+  memorySink,
+  registerProtocol,
+  listProtocols,
+  parseRustMessage,
+  PlayerTracker,
+  parseSourceStatus,
+  parseRustPlayerList,
+  MetricsSampler,
+  createMetrics,
+  Scheduler,
+  createScheduleHandler,
+  createMacros,
+  runMacro,
+  createHistory,
+  // In-process fake game servers for offline tests
+  createMockSourceServer,
+  createMockRustServer,
 };
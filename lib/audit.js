@@ -0,0 +1,256 @@
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Audit log of every command sent through the bridge.
+ *
+ * A record looks like:
+ *   {
+ *     ts: '2026-10-19T18:00:00.000Z',
+ *     user: { ... } | null,        // identity from the bridge's authenticate hook
+ *     remoteAddress: '203.0.113.7',
+ *     protocol: 'source',
+ *     server: 'eu-1' | null,       // id from the bridge's servers registry
+ *     target: '192.168.1.10:27015',
+ *     command: 'kick bob',
+ *     decision: 'allowed' | 'blocked',
+ *     reason: null | 'denied for role "viewer" ...',
+ *     duration: 42,                // ms, null for blocked commands
+ *     timedOut: false,
+ *     error: null | 'Connection closed',
+ *     response: 'Kicked bob',      // truncated to maxResponseLength
+ *   }
+ *
+ * Options:
+ *   sinks              - array of sinks; a sink is an async function(record) or an object
+ *                        with write(record) and optionally query(filter)
+ *   maxResponseLength  - characters of response kept per record (default: 2000)
+ *   onError            - function(err) for sink failures (default: process warning)
+ */
+function createAudit(options = {}) {
+  const sinks = (options.sinks || []).map((sink) =>
+    typeof sink === 'function' ? { write: sink } : sink
+  );
+  const maxResponseLength = options.maxResponseLength || 2000;
+  const onError = options.onError || ((err) => process.emitWarning(`rcon-htmx audit sink failed: ${err.message}`));
+
+  return {
+    /**
+     * Write a record to every sink. Never rejects — sink failures go to onError.
+     */
+    async record(entry) {
+      const record = {
+        ts: new Date().toISOString(),
+        user: null,
+        remoteAddress: null,
+        protocol: null,
+        server: null,
+        target: null,
+        command: '',
+        decision: 'allowed',
+        reason: null,
+        duration: null,
+        timedOut: false,
+        error: null,
+        response: null,
+        ...entry,
+      };
+
+      if (typeof record.response === 'string' && record.response.length > maxResponseLength) {
+        record.response = `${record.response.slice(0, maxResponseLength)}… (${record.response.length - maxResponseLength} more chars)`;
+      }
+
+      await Promise.all(sinks.map((sink) =>
+        Promise.resolve()
+          .then(() => sink.write(record))
+          .catch(onError)
+      ));
+
+      return record;
+    },
+
+    /**
+     * Query the first sink that supports it. Resolves with matching records, newest first.
+     */
+    async query(filter = {}) {
+      const sink = sinks.find((s) => typeof s.query === 'function');
+      if (!sink) throw new Error('rcon-htmx: no audit sink supports query()');
+      return sink.query(filter);
+    },
+  };
+}
+
+// ── Filtering ─────────────────────────────────────────────────────────────────
+
+/**
+ * Test a record against a query filter.
+ *
+ * Filter options:
+ *   user      - matches record.user itself, or its `id` or `name`
+ *   command   - case-insensitive substring of the command
+ *   decision  - 'allowed' or 'blocked'
+ *   target    - exact host:port
+ *   since     - Date or ISO string; only records at or after it
+ *   until     - Date or ISO string; only records before it
+ */
+function matches(record, filter) {
+  if (filter.user != null) {
+    const u = record.user;
+    const hit = u === filter.user || (u && (u.id === filter.user || u.name === filter.user));
+    if (!hit) return false;
+  }
+  if (filter.command && !String(record.command).toLowerCase().includes(String(filter.command).toLowerCase())) {
+    return false;
+  }
+  if (filter.decision && record.decision !== filter.decision) return false;
+  if (filter.target && record.target !== filter.target) return false;
+  if (filter.since && record.ts < new Date(filter.since).toISOString()) return false;
+  if (filter.until && record.ts >= new Date(filter.until).toISOString()) return false;
+  return true;
+}
+
+/**
+ * Read JSON-lines files (newest file first) and return up to `limit` matching
+ * records, newest first.
+ */
+async function queryFiles(files, filter) {
+  const limit = filter.limit || 100;
+  const out = [];
+
+  for (const file of files) {
+    let text;
+    try {
+      text = await fs.promises.readFile(file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') continue;
+      throw err;
+    }
+
+    const lines = text.split('\n');
+    for (let i = lines.length - 1; i >= 0 && out.length < limit; i--) {
+      if (!lines[i]) continue;
+      let record;
+      try {
+        record = JSON.parse(lines[i]);
+      } catch {
+        continue; // torn write
+      }
+      if (matches(record, filter)) out.push(record);
+    }
+
+    if (out.length >= limit) break;
+  }
+
+  return out;
+}
+
+// ── Sinks ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Append records as JSON lines to a single file.
+ */
+function jsonLinesSink(file) {
+  // Serialize appends so lines never interleave
+  let chain = Promise.resolve();
+
+  return {
+    write(record) {
+      const line = `${JSON.stringify(record)}\n`;
+      const done = chain.then(() => fs.promises.appendFile(file, line));
+      // A failed append must not wedge the writes queued behind it
+      chain = done.catch(() => {});
+      return done;
+    },
+
+    query(filter = {}) {
+      return chain.then(() => queryFiles([file], filter));
+    },
+  };
+}
+
+/**
+ * Append records as JSON lines, rotating the file once it grows past maxBytes.
+ * `audit.log` becomes `audit.log.1`, `audit.log.1` becomes `audit.log.2`, and so on;
+ * files beyond maxFiles are deleted.
+ *
+ * Options:
+ *   maxBytes  - rotate when the current file reaches this size (default: 10 MB)
+ *   maxFiles  - rotated files to keep (default: 5)
+ */
+function rotatingFileSink(file, options = {}) {
+  const maxBytes = options.maxBytes || 10 * 1024 * 1024;
+  const maxFiles = options.maxFiles || 5;
+  let chain = Promise.resolve();
+  let size = null;
+
+  async function currentSize() {
+    if (size !== null) return size;
+    try {
+      size = (await fs.promises.stat(file)).size;
+    } catch {
+      size = 0;
+    }
+    return size;
+  }
+
+  async function rotate() {
+    await fs.promises.rm(`${file}.${maxFiles}`, { force: true });
+    for (let i = maxFiles - 1; i >= 1; i--) {
+      await fs.promises.rename(`${file}.${i}`, `${file}.${i + 1}`).catch(() => {});
+    }
+    await fs.promises.rename(file, `${file}.1`).catch(() => {});
+    size = 0;
+  }
+
+  async function append(line) {
+    const bytes = Buffer.byteLength(line);
+    if ((await currentSize()) + bytes > maxBytes && size > 0) await rotate();
+    await fs.promises.appendFile(file, line);
+    size += bytes;
+  }
+
+  return {
+    write(record) {
+      const line = `${JSON.stringify(record)}\n`;
+      const done = chain.then(() => append(line));
+      // A failed append must not wedge the writes queued behind it
+      chain = done.catch(() => {});
+      return done;
+    },
+
+    query(filter = {}) {
+      const files = [file];
+      for (let i = 1; i <= maxFiles; i++) files.push(`${file}.${i}`);
+      return chain.then(() => queryFiles(files, filter));
+    },
+  };
+}
+
+/**
+ * Keep the last `max` records in memory — handy for tests and small panels.
+ */
+function memorySink(options = {}) {
+  const max = options.max || 1000;
+  const records = [];
+
+  return {
+    records,
+
+    write(record) {
+      records.push(record);
+      if (records.length > max) records.splice(0, records.length - max);
+    },
+
+    query(filter = {}) {
+      const limit = filter.limit || 100;
+      const out = [];
+      for (let i = records.length - 1; i >= 0 && out.length < limit; i--) {
+        if (matches(records[i], filter)) out.push(records[i]);
+      }
+      return out;
+    },
+  };
+}
+
+module.exports = { createAudit, jsonLinesSink, rotatingFileSink, memorySink };
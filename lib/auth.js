@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * WebSocket upgrade authentication for the bridge.
+ *
+ * Options:
+ *   authenticate    - function(req) => identity (or Promise). A truthy identity accepts the
+ *                     upgrade and is attached to the session as `ws.user`; a falsy one
+ *                     rejects it with 401. Throw an error with `status: 403` to reject with 403.
+ *   allowedOrigins  - array of allowed Origin values, or function(origin, req) => boolean,
+ *                     to stop cross-site WebSocket hijacking. Requests without an Origin
+ *                     header (non-browser clients) are not affected.
+ *
+ * Returns a `verifyClient` function for `ws`, or undefined if neither option is set.
+ */
+function createVerifyClient(options = {}) {
+  const { authenticate, allowedOrigins } = options;
+  if (!authenticate && !allowedOrigins) return undefined;
+
+  function originAllowed(origin, req) {
+    if (!allowedOrigins || !origin) return true;
+    if (typeof allowedOrigins === 'function') return Boolean(allowedOrigins(origin, req));
+    return allowedOrigins.includes(origin);
+  }
+
+  return (info, done) => {
+    if (!originAllowed(info.origin, info.req)) {
+      done(false, 403, 'Forbidden');
+      return;
+    }
+
+    if (!authenticate) {
+      done(true);
+      return;
+    }
+
+    Promise.resolve()
+      .then(() => authenticate(info.req))
+      .then(
+        (identity) => {
+          if (!identity) {
+            done(false, 401, 'Unauthorized');
+            return;
+          }
+          // Picked up by the bridge's 'connection' handler
+          info.req.rconUser = identity;
+          done(true);
+        },
+        (err) => {
+          const status = err && (err.status || err.statusCode);
+          if (status === 403) {
+            done(false, 403, 'Forbidden');
+          } else {
+            done(false, 401, 'Unauthorized');
+          }
+        }
+      );
+  };
+}
+
+module.exports = { createVerifyClient };
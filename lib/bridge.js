@@ -1,32 +1,112 @@
 'use strict';
 
 const { WebSocketServer } = require('ws');
-const { RconConnection } = require('./rcon');
-const { RconWebSocket } = require('./rcon-ws');
-const { createFormatter } = require('./formatter');
+const { getProtocol } = require('./protocols');
+const { createFormatter, createConsoleWindow } = require('./formatter');
+const { resolveTemplates } = require('./templates');
+const { createPool, poolKey } = require('./pool');
+const { CommandQueue, createTokenBucket } = require('./queue');
+const { RconTimeoutError } = require('./errors');
+const { createPolicy } = require('./policy');
+const { createVerifyClient } = require('./auth');
+const { createAudit } = require('./audit');
+const { PlayerTracker } = require('./players');
+const { MetricsSampler, createMetrics } = require('./metrics');
+const { createMacros, resolveParams, macroCommands, runMacro } = require('./macros');
+const { createHistory } = require('./history');
+const { OUTPUT_MODES, SUBPROTOCOLS, createJsonFormatter, createTextFormatter } = require('./output');
+const { createClock, negotiateLocale, DEFAULT_LOCALE } = require('./time');
 
 /**
  * Create an RCON-to-WebSocket bridge and attach it to an HTTP server.
  *
  * Options:
- *   protocol    - 'source' (binary TCP) or 'rust' (WebSocket JSON) — default: 'source'
+ *   protocol    - any registered protocol name; built in are 'source' (binary TCP),
+ *                 'minecraft' (binary TCP), 'rust' (WebSocket JSON) and 'battleye' (UDP)
+ *                 — default: 'source'
  *   host        - RCON server hostname (required if authMode is 'server')
- *   port        - RCON server port (default: 27015 for source, 28016 for rust)
+ *   port        - RCON server port (default: the protocol's defaultPort — 27015 for source,
+ *                 25575 for minecraft, 28016 for rust, 2306 for battleye)
  *   password    - RCON password (required if authMode is 'server')
+ *   servers     - map of server id -> { protocol, host, port, password, label } that browsers
+ *                 pick from with {"server": "<id>"}; passwords never leave the bridge.
+ *                 Replaces host/port/password (optional)
+ *   defaultServer - server id each session connects to on open (default: none — the
+ *                 session waits for a {"server": "<id>"} message)
  *   path        - WebSocket endpoint path (default: '/ws/rcon')
  *   authMode    - 'server' (default) or 'client'
  *   timeout     - RCON connection/command timeout in ms (default: 5000)
+ *   pool        - share one RCON client per host:port:password across browser sessions;
+ *                 true (default), false, or a createPool() instance to share across bridges
+ *   queue       - { maxInFlight, minSpacing, maxQueued } to throttle commands per RCON
+ *                 connection; also pushes queue depth to #rcon-queue (default: no throttling)
+ *   rateLimit   - { burst, perSecond, maxInFlight } token bucket and in-flight cap per
+ *                 browser session (default: unlimited)
+ *   reconnect   - true or { maxAttempts, initialDelay, maxDelay, factor, jitter } to
+ *                 reconnect after the game server drops the connection (default: off)
+ *   metrics     - true, { interval, size } or a createMetrics() instance to sample FPS,
+ *                 players, entities and memory (`stats` on Source, `serverinfo` on Rust)
+ *                 from `host` or every server in `servers`, and push sparklines to
+ *                 #rcon-metrics (default: off)
+ *   scheduler   - a Scheduler (lib/scheduler.js) whose commands run against `host` or the
+ *                 `servers` registry; the bridge supplies its `run` and `servers` and starts
+ *                 it (optional)
+ *   players     - true or { interval, leaveDelay, command, parse } to poll the player list
+ *                 (`status` on Source, `playerlist` on Rust) and keep #rcon-players up to
+ *                 date (default: off; protocols without player list support are skipped)
+ *   output      - what sessions are sent unless they ask otherwise: 'html' (htmx OOB
+ *                 fragments, default), 'json' or 'text'. A client picks its own with the
+ *                 WebSocket subprotocol rcon-html/rcon-json/rcon-text or ?output= on the
+ *                 upgrade URL; see lib/output.js
  *   targetId    - htmx OOB swap target ID (default: 'rcon-output')
  *   swapStyle   - htmx OOB swap style (default: 'beforeend')
+ *   streamOutput - stream long responses into the page as packets arrive, for clients
+ *                 with execStream() such as Source and Minecraft (default: false;
+ *                 ignored when formatLine is set)
+ *   maxLines    - keep #rcon-output to about this many lines per session by removing the
+ *                 oldest blocks with hx-swap-oob="delete" fragments (default: unbounded)
+ *   templates   - formatter template set: 'minimal' (default), 'terminal', 'daisyui', or an
+ *                 object of per-kind overrides with an optional `preset`; see lib/templates.js
  *   formatLine  - custom line formatter function (optional)
+ *   locale      - locale for times and numbers when the browser's Accept-Language names
+ *                 none that Node supports (default: 'en-US'). A session can pick its own with
+ *                 {"locale": "de-DE"}
+ *   timeZone    - IANA time zone for times until a session sends {"timeZone": "..."}
+ *                 (default: the server's)
+ *   timeFormat  - Intl.DateTimeFormat options or function(date, { locale, timeZone }) for
+ *                 console times (default: { timeStyle: 'medium' })
+ *   relativeTime - show schedule and audit times as "5 minutes ago", with the absolute
+ *                  time in the title; console times stay absolute (default: false)
+ *   showDuration - show how long each command took next to its response (default: false)
+ *   colors      - render colour codes (ANSI, Unity rich text, Minecraft §) in server output
+ *                 as class-based spans: true for every protocol, or a list of protocol names.
+ *                 Each protocol declares which codes it uses (default: off)
  *   onConnect   - callback(ws, rcon) when a session is established (optional)
+ *   authenticate - function(req) => identity (or Promise) run on the HTTP upgrade; a falsy
+ *                 result rejects with 401, an error with status 403 rejects with 403.
+ *                 The identity is available to later hooks as `ws.user` (optional)
+ *   allowedOrigins - array of allowed Origin values or function(origin, req) => boolean
+ *                 (optional)
+ *   policy      - { roles, resolveRole, defaultRole } role-based command authorization;
+ *                 see createPolicy() in lib/policy.js (optional)
+ *   audit       - createAudit() instance or { sinks, maxResponseLength } to record every
+ *                 command, allowed or blocked, with who ran it and the result (optional)
+ *   macros      - map of name -> { description, params, steps } that browsers run with
+ *                 {"macro": "<name>", "params": {...}}; see lib/macros.js (optional)
+ *   history     - true, { max, dedup } or a createHistory() instance to keep each user's
+ *                 commands per server for recall with {"history": {"offset": n}} and
+ *                 search with {"history": {"search": "..."}} (default: off)
  *   onCommand   - callback(command, ws) before sending — return false to block (optional)
+ *   onResult    - callback(result, ws) after each command with
+ *                 { command, response, timedOut, partial, error, duration } (optional)
+ *   onEvent     - callback(event, ws) for each server console line parsed into a typed
+ *                 event (chat, player-connected, kill, ...) — Rust only (optional)
  *
  * Returns the WebSocketServer instance.
  */
 function createBridge(httpServer, options = {}) {
   const protocol = options.protocol || 'source';
-  const defaultPort = protocol === 'rust' ? 28016 : 27015;
+  const { Client, defaultPort } = getProtocol(protocol);
 
   const {
     host,
@@ -35,85 +115,891 @@ function createBridge(httpServer, options = {}) {
     path = '/ws/rcon',
     authMode = 'server',
     timeout = 5000,
+    reconnect = false,
+    pool: poolOption = true,
+    queue: queueOptions = null,
+    rateLimit = null,
     targetId,
     swapStyle,
+    streamOutput = false,
     formatLine,
+    maxLines,
+    templates,
+    colors = false,
+    output = 'html',
+    locale: defaultLocale = DEFAULT_LOCALE,
+    timeZone: defaultTimeZone,
+    timeFormat,
+    relativeTime = false,
+    showDuration = false,
     onConnect,
     onCommand,
+    onResult,
+    onEvent,
   } = options;
 
-  if (!host && authMode === 'server') {
+  const metrics = !options.metrics ? null
+    : typeof options.metrics.prometheus === 'function' ? options.metrics
+    : createMetrics(options.metrics === true ? {} : options.metrics);
+
+  const playerOptions = options.players === true ? {} : options.players || null;
+  const leaveDelay = playerOptions && playerOptions.leaveDelay != null ? playerOptions.leaveDelay : 1000;
+
+  const servers = options.servers ? normalizeServers(options.servers, protocol) : null;
+  const defaultServer = options.defaultServer || null;
+
+  if (defaultServer && (!servers || !servers.has(defaultServer))) {
+    throw new Error(`rcon-htmx: "defaultServer" "${defaultServer}" is not in "servers"`);
+  }
+
+  // What the browser is allowed to see of each server
+  const serverList = servers ? [...servers.values()].map(({ id, label }) => ({ id, label })) : null;
+
+  const policy = options.policy ? createPolicy(options.policy) : null;
+
+  const macros = options.macros ? createMacros(options.macros) : null;
+
+  // Formatters are made per session — check the template set now, not on first connect
+  resolveTemplates(templates);
+
+  if (!OUTPUT_MODES.includes(output)) {
+    throw new Error(`rcon-htmx: unknown output mode "${output}" (expected ${OUTPUT_MODES.map((m) => `"${m}"`).join(', ')})`);
+  }
+
+  /**
+   * A session's output mode: its subprotocol, else ?output= on the upgrade URL,
+   * else the `output` option. Null if it asked for a mode that doesn't exist.
+   */
+  function outputModeFor(ws, req) {
+    if (ws.protocol) return SUBPROTOCOLS[ws.protocol];
+
+    const requested = new URL(req.url, 'http://localhost').searchParams.get('output');
+    if (requested == null || requested === '') return output;
+    return OUTPUT_MODES.includes(requested) ? requested : null;
+  }
+
+  /**
+   * A clock for a session's locale and time zone. Throws if either is unknown.
+   */
+  function clockFor(locale, timeZone) {
+    return createClock({ locale, timeZone, format: timeFormat, relative: relativeTime });
+  }
+
+  // Check the configured locale, time zone and format at startup
+  clockFor(defaultLocale, defaultTimeZone);
+
+  /**
+   * A formatter for an output mode. In 'html' mode the session's protocol decides
+   * which colour codes are rendered, and its clock how times look.
+   */
+  function formatterFor(mode, { consoleWindow, protocolName, clock }) {
+    if (mode === 'json') return createJsonFormatter();
+    if (mode === 'text') return createTextFormatter();
+    return createFormatter({
+      targetId,
+      swapStyle,
+      templates,
+      formatLine,
+      consoleWindow,
+      colors: protocolName ? colorsFor(protocolName) : false,
+      clock,
+      showDuration,
+    });
+  }
+
+  /**
+   * The colour codes to render for a protocol, or false.
+   */
+  function colorsFor(protocolName) {
+    const enabled = colors === true || (Array.isArray(colors) && colors.includes(protocolName));
+    return enabled ? getProtocol(protocolName).colors : false;
+  }
+
+  const history = !options.history ? null
+    : typeof options.history.search === 'function' ? options.history
+    : createHistory(options.history === true ? {} : options.history);
+
+  // Sessions without an identity get a history of their own
+  let anonymousCount = 0;
+
+  const audit = !options.audit ? null
+    : typeof options.audit.record === 'function' ? options.audit
+    : createAudit(options.audit);
+
+  if (!host && !servers && authMode === 'server') {
     throw new Error('rcon-htmx: "host" option is required');
   }
 
-  if (!password && authMode === 'server') {
+  if (!password && !servers && authMode === 'server') {
     throw new Error('rcon-htmx: "password" option is required when authMode is "server"');
   }
 
-  const wss = new WebSocketServer({ server: httpServer, path });
+  const pool = poolOption === false ? null
+    : poolOption === true ? createPool()
+    : poolOption;
+
+  // One command queue per RCON client, so sessions sharing a pooled client share its limits
+  const queues = new WeakMap();
+
+  function queueFor(client) {
+    let queue = queues.get(client);
+    if (!queue) {
+      queue = new CommandQueue(queueOptions || {});
+      queue.setMaxListeners(0);
+      queues.set(client, queue);
+    }
+    return queue;
+  }
+
+  /**
+   * Lease an RCON client for a { protocol, Client, host, port, password } target —
+   * shared through the pool when enabled. `onError(err)`, if given, listens for the
+   * client's 'error' events until the lease is released; a lease holder without a
+   * browser session behind it needs one, or a connection error would be unhandled.
+   */
+  function leaseFor(t, onError) {
+    const create = () => new t.Client({ host: t.host, port: t.port, password: t.password, timeout, reconnect });
+
+    let leased;
+    if (pool) {
+      leased = pool.acquire(poolKey(t.protocol, t.host, t.port, t.password), create);
+    } else {
+      const client = create();
+      leased = { client, ready: client.connect(), release: () => client.destroy() };
+    }
+
+    if (!onError) return leased;
+    // Connect failures are emitted on a later tick, so this is in time for them
+    leased.client.on('error', onError);
+    return {
+      ...leased,
+      release() {
+        leased.client.removeListener('error', onError);
+        leased.release();
+      },
+    };
+  }
+
+  // The configured server when not using the registry; `id` names it in metrics
+  const hostTarget = host ? { id: `${host}:${port}`, protocol, Client, host, port, password } : null;
+
+  // One player tracker per RCON client, polling once for every session that shares it
+  const trackers = new WeakMap();
+
+  /**
+   * The player list command and parser for a protocol, or null if it has none.
+   */
+  function playerListFor(protocolName) {
+    const def = getProtocol(protocolName).players || {};
+    const command = playerOptions.command || def.command;
+    const parse = playerOptions.parse || def.parse;
+    return command && parse ? { command, parse } : null;
+  }
+
+  function trackerFor(client, list) {
+    let tracker = trackers.get(client);
+    if (!tracker) {
+      tracker = new PlayerTracker({
+        ...list,
+        interval: playerOptions.interval,
+        // Polls share the client's command queue and its throttling
+        exec: (command) => queueFor(client).push(() => client.exec(command)),
+      });
+      tracker.setMaxListeners(0);
+      trackers.set(client, tracker);
+    }
+    return tracker;
+  }
+
+  // Streamed response blocks get page-unique ids: <prefix>-<n>
+  const streamPrefix = `rcon-stream-${Date.now().toString(36)}`;
+  let streamCount = 0;
+
+  // Output blocks of a bounded console: <prefix>-<session>-<n>, so a session that
+  // reconnects into the same page never reuses an id
+  const blockPrefix = `rcon-block-${Date.now().toString(36)}`;
+  let sessionCount = 0;
+
+  const wss = new WebSocketServer({
+    server: httpServer,
+    path,
+    verifyClient: createVerifyClient(options),
+    // The first output mode the client offers; other subprotocols are declined
+    handleProtocols: (offered) => [...offered].find((p) => SUBPROTOCOLS[p]) || false,
+  });
+
+  /**
+   * Sample metrics from a target for as long as the bridge runs. The sampler holds
+   * its own lease, re-acquired whenever the connection is gone for good. Client
+   * errors are reported as the sampler's 'sample-error'.
+   */
+  function sampleMetrics(t) {
+    const def = getProtocol(t.protocol).metrics;
+    if (!def) return;
+
+    let metricsLease = null;
+    let sampler = null;
+    let sampling = false;
+
+    function onError(err) {
+      // A sample in progress fails on its own, with the same error
+      if (sampling) return;
+      sampler.up = false;
+      sampler.emit('sample-error', err);
+    }
+
+    async function exec(command) {
+      sampling = true;
+      try {
+        return await leaseAndExec(command);
+      } finally {
+        sampling = false;
+      }
+    }
+
+    async function leaseAndExec(command) {
+      if (!metricsLease) metricsLease = leaseFor(t, onError);
+      const current = metricsLease;
+
+      try {
+        await current.ready;
+      } catch (err) {
+        current.release();
+        if (metricsLease === current) metricsLease = null;
+        throw err;
+      }
+
+      const client = current.client;
+      if (!client.connected) {
+        if (!client.reconnecting && metricsLease === current) {
+          current.release();
+          metricsLease = null;
+        }
+        throw new Error('Not connected');
+      }
+      return queueFor(client).push(() => client.exec(command));
+    }
+
+    sampler = new MetricsSampler({ ...def, exec, interval: metrics.interval, size: metrics.size });
+    sampler.setMaxListeners(0);
+    metrics.add(t.id, sampler);
+    sampler.start();
+
+    wss.on('close', () => {
+      metrics.remove(t.id);
+      if (metricsLease) metricsLease.release();
+    });
+  }
+
+  /**
+   * Run one scheduled command against a server: lease, exec through the queue, release.
+   */
+  async function runScheduled(serverId, command) {
+    const t = serverId != null ? (servers ? servers.get(serverId) : hostTarget && hostTarget.id === serverId ? hostTarget : null)
+      : servers ? (servers.size === 1 ? servers.values().next().value : null)
+      : hostTarget;
+    if (!t) {
+      throw new Error(serverId != null ? `Unknown server: ${serverId}` : 'Schedule has no server');
+    }
+
+    // Failures reject `ready` or the exec and end up in the schedule's lastRun;
+    // the listener only keeps a connection error from being unhandled
+    const scheduledLease = leaseFor(t, () => {});
+    let dispatched = null;
+    let response = '';
+    let error = null;
+
+    try {
+      await scheduledLease.ready;
+      const client = scheduledLease.client;
+      response = await queueFor(client).push(() => {
+        dispatched = Date.now();
+        return client.exec(command);
+      });
+      return response;
+    } catch (err) {
+      error = err;
+      throw err;
+    } finally {
+      scheduledLease.release();
+      if (audit) {
+        audit.record({
+          user: 'scheduler',
+          protocol: t.protocol,
+          server: servers ? t.id : null,
+          target: `${t.host}:${t.port}`,
+          command,
+          duration: dispatched != null ? Date.now() - dispatched : 0,
+          timedOut: error instanceof RconTimeoutError,
+          error: error && !(error instanceof RconTimeoutError) ? error.message : null,
+          response: error instanceof RconTimeoutError ? error.partial : response,
+        });
+      }
+    }
+  }
+
+  const scheduler = options.scheduler || null;
+  if (scheduler) {
+    if (!scheduler.run) scheduler.run = runScheduled;
+    if (!scheduler.servers) {
+      scheduler.servers = serverList || (hostTarget ? [{ id: hostTarget.id, label: hostTarget.id }] : null);
+    }
+    scheduler.start().catch((err) => {
+      if (scheduler.listenerCount('error')) scheduler.emit('error', err);
+    });
+    wss.on('close', () => scheduler.stop());
+  }
+
+  if (metrics) {
+    if (servers) {
+      for (const server of servers.values()) sampleMetrics(server);
+    } else if (hostTarget && authMode === 'server') {
+      sampleMetrics(hostTarget);
+    }
+  }
 
-  wss.on('connection', (ws) => {
-    const fmt = createFormatter({ targetId, swapStyle, formatLine });
+  wss.on('connection', (ws, req) => {
+    const mode = outputModeFor(ws, req);
+    if (!mode) {
+      ws.close(1008, 'Unknown output mode');
+      return;
+    }
+
+    // Shared by this session's formatters, so trimming carries on across server switches
+    const consoleWindow = maxLines && mode === 'html'
+      ? createConsoleWindow({ maxLines, prefix: `${blockPrefix}-${++sessionCount}` })
+      : null;
+    // Times in the browser's language until the session says otherwise
+    let clock = clockFor(negotiateLocale(req.headers['accept-language'], defaultLocale), defaultTimeZone);
+    // Replaced on connect when colour codes are rendered, since they depend on the protocol,
+    // and when the session changes its locale or time zone
+    let fmt = formatterFor(mode, { consoleWindow, clock });
+    // Identity from the authenticate hook, for onConnect/onCommand/onResult
+    ws.user = req.rconUser || null;
+    // A resolver that throws leaves the session without a role — every command is blocked
+    const rolePromise = policy ? policy.resolveRole(req, { user: ws.user }).catch(() => null) : null;
+    const remoteAddress = req.socket ? req.socket.remoteAddress : null;
+    const identity = userKey(ws.user);
+    const historyUser = identity != null ? `user:${identity}` : `session:${++anonymousCount}`;
     let rcon = null;
+    let target = null;
+    let currentServer = null;
+    let lease = null;
+    let detachEvents = null;
+    let detachPlayers = null;
+    let detachMetrics = null;
     let authenticated = false;
+    let sessionInFlight = 0;
+    // Macro runs in progress, cancelled when the session's connection goes away
+    const macroRuns = new Set();
+    // History keys this session added to, one per server it used
+    const historyKeys = new Set();
+    const bucket = rateLimit ? createTokenBucket(rateLimit) : null;
 
     /**
-     * Create an RCON client based on the selected protocol.
+     * Update the status badge of a registry server, if the session picked one.
      */
-    function createRcon(rHost, rPort, rPassword) {
-      if (protocol === 'rust') {
-        return new RconWebSocket({ host: rHost, port: rPort, password: rPassword, timeout });
+    function badge(serverId, state) {
+      if (serverId) safeSend(ws, fmt.serverStatus(serverId, state));
+    }
+
+    /**
+     * Wire up RCON event handlers and the server-message stream.
+     * Returns a function that removes them again (the client may be shared).
+     */
+    function wireRconEvents(rconClient, serverId) {
+      const handlers = {
+        error: (err) => {
+          safeSend(ws, fmt.error(`RCON error: ${err.message}`));
+        },
+
+        authenticated: () => {
+          authenticated = true;
+        },
+
+        close: () => {
+          authenticated = false;
+          badge(serverId, 'disconnected');
+          safeSend(ws, fmt.auth(false, 'RCON connection closed.'));
+        },
+
+        // Only fired when the reconnect option is enabled
+        reconnecting: (attempt, delay) => {
+          badge(serverId, 'reconnecting');
+          safeSend(ws, fmt.reconnecting(attempt, delay));
+        },
+
+        reconnected: () => {
+          authenticated = true;
+          badge(serverId, 'connected');
+          safeSend(ws, fmt.auth(true, `Reconnected to ${rconClient.host}:${rconClient.port}`));
+        },
+
+        'reconnect-failed': (err) => {
+          badge(serverId, 'disconnected');
+          safeSend(ws, fmt.auth(false, `Could not reconnect: ${err.message}`));
+        },
+
+        // Unsolicited server console output (chat, kills, logs, etc.) — only
+        // emitted by protocols whose servers push it, such as Rust and BattlEye.
+        // Rust lines arrive with a parsed event when they're a known kind.
+        'server-message': (body, type, event) => {
+          if (event) {
+            safeSend(ws, fmt.consoleEvent(event));
+            if (onEvent) onEvent(event, ws);
+          } else if (body && body.trim()) {
+            safeSend(ws, fmt.serverMessage(body, type));
+          }
+        },
+      };
+
+      for (const [event, handler] of Object.entries(handlers)) {
+        rconClient.on(event, handler);
       }
-      return new RconConnection({ host: rHost, port: rPort, password: rPassword, timeout });
+
+      // Queue depth indicator — only when throttling is configured
+      const queue = queueFor(rconClient);
+      const onQueueChange = (depth, inFlight) => {
+        safeSend(ws, fmt.queue(depth, inFlight));
+      };
+      if (queueOptions) queue.on('change', onQueueChange);
+
+      return () => {
+        for (const [event, handler] of Object.entries(handlers)) {
+          rconClient.removeListener(event, handler);
+        }
+        queue.removeListener('change', onQueueChange);
+      };
     }
 
     /**
-     * Wire up RCON event handlers and the server-message stream for Rust.
+     * Keep this session's #rcon-players table in sync with the connected server.
+     * Returns a function that unsubscribes again.
      */
-    function wireRconEvents(rconClient) {
-      rconClient.on('error', (err) => {
-        safeSend(ws, fmt.error(`RCON error: ${err.message}`));
-      });
+    function trackPlayers(t) {
+      const list = playerListFor(t.protocol);
+      if (!list) return null;
+
+      const tracker = trackerFor(rcon, list);
+      const leaveTimers = new Set();
+      let shown = false;
+
+      const onUpdate = (players, diff) => {
+        if (!shown) {
+          shown = true;
+          safeSend(ws, fmt.players(players));
+          return;
+        }
+
+        safeSend(ws, fmt.playersUpdate(diff));
+        if (!diff.left.length) return;
+
+        // Let the .rcon-leaving animation play, then delete the rows — unless the player is back
+        const timer = setTimeout(() => {
+          leaveTimers.delete(timer);
+          const gone = diff.left.filter((p) => !tracker.players.some((q) => q.id === p.id));
+          if (gone.length) safeSend(ws, fmt.playersRemove(gone));
+        }, leaveDelay);
+        leaveTimers.add(timer);
+      };
+
+      tracker.on('update', onUpdate);
+      if (tracker.polled) {
+        shown = true;
+        safeSend(ws, fmt.players(tracker.players));
+      }
+      tracker.start();
+
+      return () => {
+        tracker.removeListener('update', onUpdate);
+        for (const timer of leaveTimers) clearTimeout(timer);
+        if (!tracker.listenerCount('update')) tracker.stop();
+      };
+    }
 
-      rconClient.on('close', () => {
-        authenticated = false;
-        safeSend(ws, fmt.auth(false, 'RCON connection closed.'));
+    /**
+     * Push #rcon-metrics to this session whenever the target's sampler takes a sample.
+     * Returns a function that unsubscribes again.
+     */
+    function watchMetrics(t) {
+      const sampler = t.id ? metrics.get(t.id) : null;
+      if (!sampler) return null;
+
+      const onSample = () => safeSend(ws, fmt.metrics(sampler.samples));
+      sampler.on('sample', onSample);
+      if (sampler.latest) onSample();
+
+      return () => sampler.removeListener('sample', onSample);
+    }
+
+    /**
+     * Make a target this session's RCON client.
+     * Returns a Promise that resolves once the client is authenticated.
+     */
+    function openRcon(t, serverId = null) {
+      closeRcon();
+
+      lease = leaseFor(t);
+      rcon = lease.client;
+      target = t;
+      if (colors && mode === 'html') fmt = formatterFor(mode, { consoleWindow, protocolName: t.protocol, clock });
+      currentServer = serverId;
+      detachEvents = wireRconEvents(rcon, serverId);
+      return lease.ready;
+    }
+
+    /**
+     * Open an RCON lease and report the outcome to the browser.
+     * Resolves true once connected; false if it failed or was replaced meanwhile.
+     */
+    async function connectTo(t, serverId = null) {
+      const session = openRcon(t, serverId);
+      const client = rcon;
+      badge(serverId, 'connecting');
+
+      try {
+        await session;
+      } catch (err) {
+        if (rcon !== client) return false;
+        closeRcon();
+        badge(serverId, 'disconnected');
+        safeSend(ws, fmt.auth(false, err.message));
+        return false;
+      }
+
+      if (rcon !== client) return false;
+      authenticated = true;
+      badge(serverId, 'connected');
+      safeSend(ws, fmt.auth(true, `Connected to ${t.label || `${t.host}:${t.port}`}`));
+      if (playerOptions) detachPlayers = trackPlayers(t);
+      if (metrics) detachMetrics = watchMetrics(t);
+      if (history) safeSend(ws, fmt.historyNav(-1, history.size(historyKey())));
+      if (onConnect) onConnect(ws, rcon);
+      return true;
+    }
+
+    /**
+     * Switch this session to a server from the registry.
+     */
+    function selectServer(id) {
+      const server = servers.get(id);
+      if (!server) {
+        safeSend(ws, fmt.error(`Unknown server: ${id}`));
+        return Promise.resolve(false);
+      }
+
+      // The previous server's badge goes back to idle for this session
+      if (currentServer && currentServer !== id) badge(currentServer, 'idle');
+      return connectTo(server, id);
+    }
+
+    /**
+     * Release this session's RCON lease, if any.
+     */
+    function closeRcon() {
+      for (const controller of macroRuns) controller.abort();
+      macroRuns.clear();
+      if (detachPlayers) detachPlayers();
+      if (detachMetrics) detachMetrics();
+      if (detachEvents) detachEvents();
+      if (lease) lease.release();
+      detachEvents = null;
+      detachPlayers = null;
+      detachMetrics = null;
+      lease = null;
+      rcon = null;
+      target = null;
+      currentServer = null;
+      authenticated = false;
+    }
+
+    /**
+     * Record a command decision/result in the audit log, if enabled.
+     */
+    function auditCommand(entry) {
+      if (!audit) return;
+      audit.record({
+        user: ws.user,
+        remoteAddress,
+        protocol: target ? target.protocol : protocol,
+        server: currentServer,
+        target: rcon ? `${rcon.host}:${rcon.port}` : null,
+        ...entry,
       });
+    }
 
-      // Rust pushes unsolicited server console output (chat, kills, logs, etc.)
-      if (protocol === 'rust') {
-        rconClient.on('server-message', (body, type) => {
-          if (body && body.trim()) {
-            safeSend(ws, fmt.serverMessage(body, type));
+    /**
+     * Switch this session to another locale and/or time zone. Tells the browser
+     * and returns false if either is unknown.
+     */
+    function setClock(locale, timeZone) {
+      try {
+        clock = clockFor(locale || clock.locale, timeZone || clock.timeZone || defaultTimeZone);
+      } catch (err) {
+        const reason = err.message.replace(/^rcon-htmx: /, '');
+        safeSend(ws, fmt.error(`${reason[0].toUpperCase()}${reason.slice(1)}.`));
+        return false;
+      }
+
+      fmt = formatterFor(mode, { consoleWindow, protocolName: target ? target.protocol : null, clock });
+      return true;
+    }
+
+    /**
+     * Run a command through execStream(), pushing complete lines into one
+     * response block as they arrive. Resolves with the full text when the
+     * response has ended; on a timeout or error the block keeps what arrived and
+     * ends as timed out or failed.
+     */
+    function streamCommand(client, command) {
+      const blockId = `${streamPrefix}-${++streamCount}`;
+      const started = Date.now();
+      safeSend(ws, fmt.responseStart(command, blockId));
+
+      return new Promise((resolve, reject) => {
+        // Packets can split a line — hold the tail back until its newline arrives
+        let partial = '';
+        let body = '';
+        let sent = false;
+
+        function flush(text) {
+          if (!text.trim()) return;
+          sent = true;
+          safeSend(ws, fmt.responseChunk(blockId, text));
+        }
+
+        function fail(err) {
+          flush(partial);
+          const state = err instanceof RconTimeoutError ? 'timeout' : 'failed';
+          safeSend(ws, fmt.responseEnd(blockId, !sent, {
+            duration: Date.now() - started, state, command, error: err.message,
+          }));
+          reject(err);
+        }
+
+        let stream;
+        try {
+          stream = client.execStream(command);
+        } catch (err) {
+          fail(err);
+          return;
+        }
+
+        stream.on('data', (chunk) => {
+          body += chunk;
+          const text = partial + chunk;
+          const cut = text.lastIndexOf('\n');
+          if (cut === -1) {
+            partial = text;
+            return;
           }
+          partial = text.slice(cut + 1);
+          flush(text.slice(0, cut));
+        });
+
+        stream.on('end', () => {
+          flush(partial);
+          safeSend(ws, fmt.responseEnd(blockId, !sent, { duration: Date.now() - started, command }));
+          resolve(body);
         });
+
+        stream.on('error', fail);
+      });
+    }
+
+    /**
+     * This session's history key: the user and the server they're on.
+     */
+    function historyKey() {
+      const server = currentServer || (target ? `${target.host}:${target.port}` : '');
+      return `${historyUser}\n${server}`;
+    }
+
+    /**
+     * Run a command past onCommand and the policy.
+     * Resolves with { reason, message } if it's blocked, else null.
+     */
+    async function checkCommand(command) {
+      if (onCommand && onCommand(command, ws) === false) {
+        return { reason: 'blocked by onCommand', message: `Command blocked: ${command}` };
       }
+
+      if (policy) {
+        const decision = policy.check(await rolePromise, command);
+        if (!decision.allowed) {
+          return { reason: decision.reason, message: `Command blocked: ${command} — ${decision.reason}` };
+        }
+      }
+
+      return null;
     }
 
-    // --- Server-side auth: connect + auth immediately ---
-    if (authMode === 'server') {
-      rcon = createRcon(host, port, password);
+    /**
+     * Whether the session's RCON connection can take commands; tells the browser if not.
+     */
+    function ready() {
+      if (rcon && rcon.reconnecting) {
+        safeSend(ws, fmt.error('Reconnecting to RCON server — try again shortly.'));
+        return false;
+      }
 
-      rcon.connect()
-        .then(() => {
-          authenticated = true;
-          safeSend(ws, fmt.auth(true, `Connected to ${host}:${port}`));
-          if (onConnect) onConnect(ws, rcon);
-        })
-        .catch((err) => {
-          safeSend(ws, fmt.auth(false, err.message));
-          ws.close();
+      if (!authenticated || !rcon || !rcon.connected) {
+        safeSend(ws, fmt.error('Not connected to RCON server.'));
+        return false;
+      }
+
+      return true;
+    }
+
+    /**
+     * Whether the rate limit lets the session send another command or start a
+     * macro run; audits the refusal under `command` and tells the browser if not.
+     */
+    function admit(command) {
+      if (bucket && !bucket.take()) {
+        auditCommand({ command, decision: 'blocked', reason: 'rate limited' });
+        safeSend(ws, fmt.error('Too many commands — slow down and try again.'));
+        return false;
+      }
+
+      if (rateLimit && rateLimit.maxInFlight && sessionInFlight >= rateLimit.maxInFlight) {
+        auditCommand({ command, decision: 'blocked', reason: 'too many commands in progress' });
+        safeSend(ws, fmt.error(`Too many commands in progress (max ${rateLimit.maxInFlight}).`));
+        return false;
+      }
+
+      return true;
+    }
+
+    /**
+     * Queue an allowed command on the client and record it in the audit log.
+     * `task` does the actual exec once the queue dispatches it and resolves with
+     * the response text. `duration` counts from dispatch, so time spent waiting
+     * in the queue isn't blamed on the command.
+     * Resolves with { command, response, timedOut, partial, error, duration }.
+     */
+    async function runCommand(client, command, task) {
+      const result = { command, response: '', timedOut: false, partial: false, error: null, duration: 0 };
+      let dispatched = null;
+
+      sessionInFlight += 1;
+      try {
+        result.response = await queueFor(client).push(() => {
+          dispatched = Date.now();
+          return task();
         });
+      } catch (err) {
+        result.error = err;
+        if (err instanceof RconTimeoutError) {
+          result.timedOut = true;
+          result.partial = Boolean(err.partial);
+          result.response = err.partial;
+        }
+      } finally {
+        sessionInFlight -= 1;
+        if (dispatched != null) result.duration = Date.now() - dispatched;
+      }
+
+      auditCommand({
+        command,
+        decision: 'allowed',
+        duration: result.duration,
+        timedOut: result.timedOut,
+        error: result.error && !result.timedOut ? result.error.message : null,
+        response: result.response,
+      });
+
+      return result;
+    }
+
+    /**
+     * Run a named macro, streaming each step into the page. Every command the
+     * macro could run is authorized up front, so a macro never stops halfway
+     * because of the policy.
+     */
+    async function runMacroCommand(name, input) {
+      if (!macros) {
+        safeSend(ws, fmt.error('Macros are not enabled.'));
+        return;
+      }
+
+      const macro = macros.get(name);
+      if (!macro) {
+        safeSend(ws, fmt.error(`Unknown macro: ${name}`));
+        return;
+      }
+
+      let params;
+      let commands;
+      try {
+        params = resolveParams(macro, input);
+        commands = macroCommands(macro, params);
+      } catch (err) {
+        safeSend(ws, fmt.error(`Macro ${name}: ${err.message}`));
+        return;
+      }
+
+      if (!ready()) return;
 
-      wireRconEvents(rcon);
+      if (!admit(`macro ${name}`)) return;
+
+      for (const command of commands) {
+        const blocked = await checkCommand(command);
+        if (blocked) {
+          auditCommand({ command, decision: 'blocked', reason: `macro ${name}: ${blocked.reason}` });
+          safeSend(ws, fmt.error(`Macro blocked: ${name} — ${blocked.message}`));
+          return;
+        }
+      }
+
+      const client = rcon;
+      const runId = `${streamPrefix}-${++streamCount}`;
+      const controller = new AbortController();
+      macroRuns.add(controller);
+      safeSend(ws, fmt.macroStart(name, runId));
+
+      const outcome = await runMacro(macro, params, {
+        signal: controller.signal,
+        exec: async (command) => {
+          if (!client.connected) return { response: '', error: new Error('Not connected to RCON server.') };
+          const result = await runCommand(client, command, () => client.exec(command));
+          if (onResult) onResult(result, ws);
+          return result;
+        },
+        onStep: (step) => safeSend(ws, fmt.macroStep(runId, step)),
+      });
+
+      macroRuns.delete(controller);
+      safeSend(ws, fmt.macroEnd(runId, outcome));
+    }
+
+    // --- Server registry: offer the picker, connect to the default server ---
+    if (servers) {
+      safeSend(ws, fmt.serverPicker(serverList, defaultServer));
+      if (defaultServer) selectServer(defaultServer);
+    } else if (authMode === 'server') {
+      // --- Server-side auth: connect + auth immediately ---
+      connectTo(hostTarget).then((ok) => {
+        if (!ok) ws.close();
+      });
     }
 
     // --- Handle incoming messages from the browser ---
     ws.on('message', async (raw) => {
       let data;
-      try {
-        data = JSON.parse(raw);
-      } catch {
+      const text = String(raw);
+      if (mode === 'text' && !text.trimStart().startsWith('{')) {
+        // Text clients may send a bare line as the command
+        data = { command: text };
+      } else {
+        try {
+          data = JSON.parse(text);
+        } catch {
+          data = null;
+        }
+      }
+
+      if (!data || typeof data !== 'object') {
         safeSend(ws, fmt.error('Invalid message format.'));
         return;
       }
@@ -127,8 +1013,47 @@ function createBridge(httpServer, options = {}) {
         };
       }
 
+      // ...flat history keys (history.offset, history.search) to data.history...
+      if (!data.history && (data['history.offset'] != null || data['history.search'] != null)) {
+        data.history = {
+          offset: data['history.offset'],
+          search: data['history.search'],
+        };
+      }
+
+      // ...flat clock keys (auth.locale, auth.timeZone) to top-level ones...
+      if (data.locale == null) data.locale = data['auth.locale'] != null ? data['auth.locale'] : data.auth && data.auth.locale;
+      if (data.timeZone == null) data.timeZone = data['auth.timeZone'] != null ? data['auth.timeZone'] : data.auth && data.auth.timeZone;
+
+      // ...and flat macro params (params.<name>) to data.params
+      if (data.macro != null && !data.params) {
+        const flat = Object.keys(data).filter((key) => key.startsWith('params.'));
+        if (flat.length) data.params = Object.fromEntries(flat.map((key) => [key.slice(7), data[key]]));
+      }
+
+      // --- Locale and time zone: {"locale": "de-DE", "timeZone": "Europe/Berlin"} ---
+      if (data.locale || data.timeZone) {
+        if (!setClock(data.locale, data.timeZone)) return;
+        if (!data.auth && data.server == null && !data.command && data.macro == null && data.history == null) return;
+      }
+
+      // --- Server selection: {"server": "<id>"}, optionally with a command ---
+      if (data.server != null) {
+        if (!servers) {
+          safeSend(ws, fmt.error('Server selection is not enabled.'));
+          return;
+        }
+
+        const id = String(data.server);
+        if (id !== currentServer || !rcon) {
+          const ok = await selectServer(id);
+          if (!ok) return;
+        }
+        if (!data.command && data.macro == null) return;
+      }
+
       // --- Client-side auth mode ---
-      if (authMode === 'client' && !authenticated) {
+      if (authMode === 'client' && !authenticated && !(rcon && rcon.reconnecting)) {
         if (data.auth) {
           const authHost = data.auth.host || host;
           const authPort = data.auth.port || port || defaultPort;
@@ -139,22 +1064,48 @@ function createBridge(httpServer, options = {}) {
             return;
           }
 
-          rcon = createRcon(authHost, authPort, authPass);
+          // Replaces a previous (closed or still-reconnecting) lease, if any
+          await connectTo({ protocol, Client, host: authHost, port: authPort, password: authPass });
+          return;
+        }
 
-          try {
-            await rcon.connect();
-            authenticated = true;
-            safeSend(ws, fmt.auth(true, `Connected to ${authHost}:${authPort}`));
-            if (onConnect) onConnect(ws, rcon);
-          } catch (err) {
-            safeSend(ws, fmt.auth(false, err.message));
-          }
+        safeSend(ws, fmt.error(servers
+          ? 'Not connected. Pick a server first.'
+          : `Not authenticated. Send {"auth": {"host": "...", "port": ${defaultPort}, "password": "..."}} first.`));
+        return;
+      }
 
-          wireRconEvents(rcon);
+      if (servers && !rcon) {
+        safeSend(ws, fmt.error('No server selected. Pick a server first.'));
+        return;
+      }
+
+      // --- History: {"history": {"offset": n}} recalls, {"history": {"search": "..."}} lists ---
+      if (data.history != null) {
+        if (!history) {
+          safeSend(ws, fmt.error('Command history is not enabled.'));
           return;
         }
 
-        safeSend(ws, fmt.error(`Not authenticated. Send {"auth": {"host": "...", "port": ${defaultPort}, "password": "..."}} first.`));
+        const key = historyKey();
+        const query = typeof data.history === 'object' ? data.history : {};
+
+        if (query.offset != null && query.offset !== '') {
+          const total = history.size(key);
+          // -1 is "past the newest entry": an empty input
+          const offset = Math.max(-1, Math.min(Math.trunc(Number(query.offset)) || 0, total - 1));
+          const entry = offset >= 0 ? history.at(key, offset) : null;
+          safeSend(ws, fmt.historyRecall(entry ? entry.command : '', offset, total));
+        } else {
+          const search = String(query.search || '');
+          safeSend(ws, fmt.historyList(history.search(key, search), search));
+        }
+        return;
+      }
+
+      // --- Macro execution: {"macro": "<name>", "params": {...}} ---
+      if (data.macro != null) {
+        await runMacroCommand(String(data.macro), data.params);
         return;
       }
 
@@ -165,52 +1116,113 @@ function createBridge(httpServer, options = {}) {
         return;
       }
 
-      if (onCommand) {
-        const allowed = onCommand(command, ws);
-        if (allowed === false) {
-          safeSend(ws, fmt.error(`Command blocked: ${command}`));
-          return;
-        }
+      const blocked = await checkCommand(command);
+      if (blocked) {
+        auditCommand({ command, decision: 'blocked', reason: blocked.reason });
+        safeSend(ws, fmt.error(blocked.message));
+        return;
       }
 
-      if (!authenticated || !rcon || !rcon.connected) {
-        safeSend(ws, fmt.error('Not connected to RCON server.'));
-        return;
+      if (!ready()) return;
+
+      if (!admit(command)) return;
+
+      if (history) {
+        const key = historyKey();
+        history.add(key, command);
+        historyKeys.add(key);
+        // Clears the page's input and points ArrowUp at the command just sent;
+        // other clients keep their own input
+        if (mode === 'html') safeSend(ws, fmt.historyRecall('', -1, history.size(key)));
       }
 
-      try {
-        const response = await rcon.exec(command);
-        safeSend(ws, fmt.response(response, command));
-      } catch (err) {
-        safeSend(ws, fmt.error(`Command failed: ${err.message}`));
+      const client = rcon;
+      const streamed = streamOutput && !(formatLine && mode === 'html') && typeof client.execStream === 'function';
+
+      // Once its block is open, a streamed command shows its own timeout or error
+      let opened = false;
+      const result = await runCommand(client, command, async () => {
+        if (streamed) {
+          opened = true;
+          return streamCommand(client, command);
+        }
+        const started = Date.now();
+        const response = await client.exec(command);
+        safeSend(ws, fmt.response(response, command, { duration: Date.now() - started }));
+        return response;
+      });
+
+      if (!opened) {
+        if (result.timedOut) {
+          safeSend(ws, fmt.timeout(command, result.response, { duration: result.duration }));
+        } else if (result.error) {
+          safeSend(ws, fmt.error(`Command failed: ${result.error.message}`));
+        }
       }
+
+      if (onResult) onResult(result, ws);
     });
 
     // --- Cleanup on disconnect ---
     ws.on('close', () => {
-      if (rcon) {
-        rcon.destroy();
-        rcon = null;
-      }
-      authenticated = false;
-    });
-
-    ws.on('error', () => {
-      if (rcon) {
-        rcon.destroy();
-        rcon = null;
+      closeRcon();
+      // A user's history is kept for their next session; an anonymous one has no next session
+      if (history && identity == null) {
+        for (const key of historyKeys) history.clear(key);
       }
     });
+    ws.on('error', closeRcon);
   });
 
   return wss;
 }
 
 /**
- * Safe WebSocket send — only sends if socket is open.
+ * Validate the `servers` option and resolve each entry's protocol and port.
+ * Returns a Map of id -> { id, label, protocol, Client, host, port, password }.
+ */
+function normalizeServers(servers, defaultProtocol) {
+  const out = new Map();
+
+  for (const [id, def] of Object.entries(servers)) {
+    const protocol = def.protocol || defaultProtocol;
+    const { Client, defaultPort } = getProtocol(protocol);
+
+    if (!def.host) throw new Error(`rcon-htmx: server "${id}" needs a "host"`);
+    if (!def.password) throw new Error(`rcon-htmx: server "${id}" needs a "password"`);
+
+    out.set(id, {
+      id,
+      label: def.label || id,
+      protocol,
+      Client,
+      host: def.host,
+      port: def.port || defaultPort,
+      password: def.password,
+    });
+  }
+
+  if (!out.size) throw new Error('rcon-htmx: "servers" must name at least one server');
+  return out;
+}
+
+/**
+ * A stable key for an identity from the authenticate hook: the identity itself if
+ * it's a string or number, else its id, sub or name. Null if there's none.
+ */
+function userKey(user) {
+  if (user == null) return null;
+  if (typeof user !== 'object') return String(user);
+  const id = user.id != null ? user.id : user.sub != null ? user.sub : user.name;
+  return id != null ? String(id) : null;
+}
+
+/**
+ * Safe WebSocket send — only sends if socket is open, and skips empty messages
+ * (formatters return null for what their output mode doesn't show).
  */
 function safeSend(ws, data) {
-  if (ws.readyState === 1) {
+  if (data && ws.readyState === 1) {
     ws.send(data);
   }
 }
@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * Durations as config and forms write them: '500ms', '90s', '15m', '2h', '1d'.
+ * Used by schedule intervals, macro delays and the formatters that show them.
+ */
+
+const UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+/**
+ * Parse a duration: a number of ms, or a string like '500ms', '90s', '15m', '2h', '1d'.
+ */
+function parseDuration(value) {
+  if (typeof value === 'number' && value >= 0) return value;
+  const m = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)$/i.exec(String(value).trim());
+  if (!m) throw new Error(`rcon-htmx: invalid duration "${value}" (use e.g. '30s', '15m', '2h', '1d')`);
+  return Number(m[1]) * UNITS[m[2].toLowerCase()];
+}
+
+/**
+ * Format ms the way parseDuration() reads it, in the largest whole unit.
+ */
+function formatDuration(ms) {
+  for (const unit of ['d', 'h', 'm', 's']) {
+    if (ms % UNITS[unit] === 0) return `${ms / UNITS[unit]}${unit}`;
+  }
+  return `${ms}ms`;
+}
+
+module.exports = { parseDuration, formatDuration };
@@ -0,0 +1,24 @@
+'use strict';
+
+/**
+ * Rejection reason for a command whose response didn't complete within `timeout`.
+ *
+ * Properties:
+ *   command  - the command that timed out
+ *   partial  - response text received before the timeout ('' if none)
+ *   timeout  - the timeout in ms
+ */
+class RconTimeoutError extends Error {
+  constructor(command, partial = '', timeout) {
+    super(partial
+      ? `Command timed out with partial output: ${command}`
+      : `Command timed out: ${command}`);
+    this.name = 'RconTimeoutError';
+    this.code = 'ETIMEDOUT';
+    this.command = command;
+    this.partial = partial;
+    this.timeout = timeout;
+  }
+}
+
+module.exports = { RconTimeoutError };
@@ -1,26 +1,336 @@
 'use strict';
 
+const { formatDuration } = require('./duration');
+const { escapeHtml } = require('./html');
+const { resolveTemplates, retryForm } = require('./templates');
+const { createClock } = require('./time');
+
 /**
  * Default HTML formatter for RCON responses.
  * Produces htmx-compatible HTML with hx-swap-oob attributes.
  */
 
+// --- Colour codes ---------------------------------------------------------
+//
+// Game servers colour their output three ways:
+//   ansi       - ANSI escape sequences (Source, Rust)
+//   unity      - Unity rich-text tags: <color=#ff0000>, <color=red>, <b>, <i> (Rust, Oxide)
+//   minecraft  - § codes: §c red, §l bold, §r reset (Minecraft)
+// renderColors() turns them into <span>s with fixed class names. Text is always
+// escaped and code arguments never reach the output, so nothing from the server
+// can become markup.
+
+// Every colour is mapped to the nearest of these 16, as .rcon-fg-<name> / .rcon-bg-<name>
+const PALETTE = [
+  ['black', 0, 0, 0], ['red', 205, 0, 0], ['green', 0, 205, 0], ['yellow', 205, 205, 0],
+  ['blue', 0, 0, 238], ['magenta', 205, 0, 205], ['cyan', 0, 205, 205], ['white', 229, 229, 229],
+  ['bright-black', 127, 127, 127], ['bright-red', 255, 0, 0], ['bright-green', 0, 255, 0],
+  ['bright-yellow', 255, 255, 0], ['bright-blue', 92, 92, 255], ['bright-magenta', 255, 0, 255],
+  ['bright-cyan', 0, 255, 255], ['bright-white', 255, 255, 255],
+];
+
+// §0-§f as palette indexes
+const MINECRAFT_COLORS = [0, 4, 2, 6, 1, 5, 3, 7, 8, 12, 10, 14, 9, 13, 11, 15];
+
+// Colour names Unity rich text accepts
+const UNITY_COLORS = {
+  aqua: '#00ffff', black: '#000000', blue: '#0000ff', brown: '#a52a2a', cyan: '#00ffff',
+  darkblue: '#0000a0', fuchsia: '#ff00ff', green: '#008000', grey: '#808080', gray: '#808080',
+  lightblue: '#add8e6', lime: '#00ff00', magenta: '#ff00ff', maroon: '#800000', navy: '#000080',
+  olive: '#808000', orange: '#ffa500', purple: '#800080', red: '#ff0000', silver: '#c0c0c0',
+  teal: '#008080', white: '#ffffff', yellow: '#ffff00',
+};
+
+const COLOR_KINDS = ['ansi', 'unity', 'minecraft'];
+
+const CODE_PATTERNS = {
+  // CSI sequences (SGR and others), OSC sequences, and stray escapes
+  ansi: '\\x1b\\[[0-9;?]*[ -/]*[@-~]|\\x1b\\][^\\x07\\x1b]*(?:\\x07|\\x1b\\\\)|\\x1b',
+  unity: '<\\/?(?:color|b|i|u|s|size|mark|material|quad|font)(?:=[^<>]*)?>',
+  minecraft: '§[0-9a-fk-or]?',
+};
+
+function nearestColor(r, g, b) {
+  let best = 0;
+  let bestDistance = Infinity;
+  PALETTE.forEach(([, pr, pg, pb], i) => {
+    const d = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+    if (d < bestDistance) {
+      best = i;
+      bestDistance = d;
+    }
+  });
+  return best;
+}
+
+/**
+ * A palette index for '#rgb', '#rgba', '#rrggbb', '#rrggbbaa' or a Unity colour name; null if unknown.
+ */
+function parseColor(value) {
+  const v = String(value || '').trim().replace(/^["']|["']$/g, '').toLowerCase();
+  const hex = UNITY_COLORS[v] || v;
+  let m = /^#([0-9a-f])([0-9a-f])([0-9a-f])[0-9a-f]?$/.exec(hex);
+  if (m) return nearestColor(...m.slice(1, 4).map((c) => parseInt(c + c, 16)));
+  m = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})(?:[0-9a-f]{2})?$/.exec(hex);
+  if (m) return nearestColor(...m.slice(1, 4).map((c) => parseInt(c, 16)));
+  return null;
+}
+
+/**
+ * A palette index for an xterm 256-colour number.
+ */
+function xtermColor(n) {
+  if (n < 16) return n;
+  if (n >= 232) {
+    const level = 8 + (n - 232) * 10;
+    return nearestColor(level, level, level);
+  }
+  const levels = [0, 95, 135, 175, 215, 255];
+  const i = n - 16;
+  return nearestColor(levels[Math.floor(i / 36)], levels[Math.floor(i / 6) % 6], levels[i % 6]);
+}
+
+function plainStyle() {
+  return { fg: null, bg: null, bold: false, dim: false, italic: false, underline: false, strike: false, obfuscated: false };
+}
+
+/**
+ * Apply an ANSI SGR parameter list ("1;31") to a style.
+ */
+function applySgr(style, params) {
+  const codes = params === '' ? [0] : params.split(';').map(Number);
+
+  for (let i = 0; i < codes.length; i++) {
+    const c = codes[i];
+    if (c === 0) Object.assign(style, plainStyle());
+    else if (c === 1) style.bold = true;
+    else if (c === 2) style.dim = true;
+    else if (c === 3) style.italic = true;
+    else if (c === 4) style.underline = true;
+    else if (c === 9) style.strike = true;
+    else if (c === 21 || c === 22) style.bold = style.dim = false;
+    else if (c === 23) style.italic = false;
+    else if (c === 24) style.underline = false;
+    else if (c === 29) style.strike = false;
+    else if (c >= 30 && c <= 37) style.fg = c - 30;
+    else if (c === 39) style.fg = null;
+    else if (c >= 40 && c <= 47) style.bg = c - 40;
+    else if (c === 49) style.bg = null;
+    else if (c >= 90 && c <= 97) style.fg = c - 90 + 8;
+    else if (c >= 100 && c <= 107) style.bg = c - 100 + 8;
+    else if (c === 38 || c === 48) {
+      // 38;5;n (256 colours) or 38;2;r;g;b (truecolour)
+      let color = null;
+      if (codes[i + 1] === 5) {
+        color = xtermColor(codes[i + 2] || 0);
+        i += 2;
+      } else if (codes[i + 1] === 2) {
+        color = nearestColor(codes[i + 2] || 0, codes[i + 3] || 0, codes[i + 4] || 0);
+        i += 4;
+      }
+      if (color != null && color >= 0 && color < 16) style[c === 38 ? 'fg' : 'bg'] = color;
+    }
+  }
+}
+
+function styleClasses(style) {
+  const out = [];
+  if (style.fg != null) out.push(`rcon-fg-${PALETTE[style.fg][0]}`);
+  if (style.bg != null) out.push(`rcon-bg-${PALETTE[style.bg][0]}`);
+  for (const flag of ['bold', 'dim', 'italic', 'underline', 'strike', 'obfuscated']) {
+    if (style[flag]) out.push(`rcon-${flag}`);
+  }
+  return out.join(' ');
+}
+
+/**
+ * Render colour codes as escaped HTML with class-based <span>s.
+ *
+ * @param {string} text
+ * @param {boolean|string[]} [kinds=true] - which codes to render: true for all, or any
+ *   of 'ansi', 'unity', 'minecraft'. Other codes are left as text.
+ * @param {Object} [state] - carries open styles from one call to the next (e.g. line by line)
+ */
+function renderColors(text, kinds = true, state = {}) {
+  const enabled = kinds === true ? COLOR_KINDS : COLOR_KINDS.filter((k) => kinds && kinds.includes(k));
+  const str = String(text == null ? '' : text);
+  if (!enabled.length) return escapeHtml(str);
+
+  if (!state.style) state.style = plainStyle();
+  if (!state.tags) state.tags = [];
+
+  const pattern = new RegExp(enabled.map((k) => CODE_PATTERNS[k]).join('|'), 'gi');
+  let out = '';
+  let last = 0;
+  let m;
+
+  const emit = (chunk) => {
+    if (!chunk) return;
+    const cls = styleClasses(state.style);
+    out += cls ? `<span class="${cls}">${escapeHtml(chunk)}</span>` : escapeHtml(chunk);
+  };
+
+  while ((m = pattern.exec(str))) {
+    emit(str.slice(last, m.index));
+    last = pattern.lastIndex;
+    const code = m[0];
+    const style = state.style;
+
+    if (code[0] === '\x1b') {
+      const sgr = /^\x1b\[([0-9;]*)m$/.exec(code);
+      if (sgr) applySgr(style, sgr[1]);
+    } else if (code[0] === '§') {
+      const c = (code[1] || '').toLowerCase();
+      const color = parseInt(c, 16);
+      if (!Number.isNaN(color)) state.style = { ...plainStyle(), bg: style.bg, fg: MINECRAFT_COLORS[color] };
+      else if (c === 'r') state.style = plainStyle();
+      else if (c === 'k') style.obfuscated = true;
+      else if (c === 'l') style.bold = true;
+      else if (c === 'm') style.strike = true;
+      else if (c === 'n') style.underline = true;
+      else if (c === 'o') style.italic = true;
+    } else {
+      // Unity tags nest: an open tag saves the style, its close tag restores it
+      const tag = /^<(\/?)([a-z]+)(?:=([^>]*))?>$/i.exec(code);
+      const name = tag[2].toLowerCase();
+      if (tag[1]) {
+        const i = state.tags.map((t) => t.name).lastIndexOf(name);
+        if (i !== -1) {
+          state.style = state.tags[i].saved;
+          state.tags.length = i;
+        }
+      } else {
+        state.tags.push({ name, saved: { ...style } });
+        state.style = { ...style };
+        if (name === 'color') {
+          const color = parseColor(tag[3]);
+          if (color != null) state.style.fg = color;
+        } else if (name === 'b') state.style.bold = true;
+        else if (name === 'i') state.style.italic = true;
+        else if (name === 'u') state.style.underline = true;
+        else if (name === 's') state.style.strike = true;
+      }
+    }
+  }
+
+  emit(str.slice(last));
+  return out;
+}
+
 /**
- * Escape HTML special characters.
+ * Format seconds as "m:ss" or "h:mm:ss".
  */
-function escapeHtml(str) {
-  return str
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;');
+function duration(seconds) {
+  const s = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const pad = (n) => String(n).padStart(2, '0');
+  return h ? `${h}:${pad(m)}:${pad(s % 60)}` : `${m}:${pad(s % 60)}`;
+}
+
+/**
+ * Give the root element of a template's markup an id and make it an OOB swap.
+ */
+function oobRoot(html, id) {
+  return html.replace(/^\s*<([a-zA-Z][\w-]*)/, `<$1 id="${id}" hx-swap-oob="true"`);
+}
+
+/**
+ * Number of non-empty lines in a piece of server text.
+ */
+function countLines(text) {
+  return String(text || '').split('\n').filter(Boolean).length;
+}
+
+/**
+ * The blocks in the output element, oldest first, for keeping it to `maxLines` lines.
+ * A bridge session shares one window between its formatters, so block ids keep
+ * counting up when it switches servers.
+ *
+ * A block added as open (a stream or a macro run still getting output) is never
+ * dropped until close(id), so later output always has a block to land in.
+ *
+ * Options:
+ *   maxLines  - lines kept; the oldest blocks are dropped past this (required)
+ *   prefix    - block id prefix, unique to the page (default: 'rcon-block')
+ */
+function createConsoleWindow(options = {}) {
+  const maxLines = options.maxLines;
+  const prefix = options.prefix || 'rcon-block';
+  const blocks = [];
+  let total = 0;
+  let count = 0;
+
+  // Drop the oldest closed blocks while over the limit — never the newest one
+  function trim() {
+    const dropped = [];
+    let i = 0;
+    while (total > maxLines && i < blocks.length - 1) {
+      if (blocks[i].open) {
+        i++;
+        continue;
+      }
+      const [block] = blocks.splice(i, 1);
+      total -= block.lines;
+      dropped.push(block.id);
+    }
+    return dropped;
+  }
+
+  function find(id) {
+    for (let i = blocks.length - 1; i >= 0; i--) {
+      if (blocks[i].id === id) return blocks[i];
+    }
+    return null;
+  }
+
+  return {
+    maxLines,
+
+    nextId() {
+      return `${prefix}-${++count}`;
+    },
+
+    /**
+     * Record a new block, kept until close(id) if `open`. Returns the ids of blocks
+     * that fell out of the window.
+     */
+    add(id, lines, open = false) {
+      blocks.push({ id, lines: Math.max(1, lines), open });
+      total += Math.max(1, lines);
+      return trim();
+    },
+
+    /**
+     * Record lines appended to a block that's still open (a stream or a macro run).
+     * Returns the ids of blocks that fell out of the window.
+     */
+    grow(id, lines) {
+      const block = find(id);
+      if (!block) return [];
+      block.lines += lines;
+      total += lines;
+      return trim();
+    },
+
+    /**
+     * Mark an open block as finished, so it can be dropped like any other.
+     * Returns the ids of blocks that fell out of the window.
+     */
+    close(id) {
+      const block = find(id);
+      if (!block || !block.open) return [];
+      block.open = false;
+      return trim();
+    },
+  };
 }
 
 /**
- * Format a timestamp for display.
+ * DOM id of a player's row: #rcon-player-<id>, with characters ids can't hold replaced.
  */
-function timestamp() {
-  return new Date().toLocaleTimeString('en-US', { hour12: true });
+function playerRowId(id) {
+  return `rcon-player-${String(id).replace(/[^A-Za-z0-9_-]/g, '_')}`;
 }
 
 /**
@@ -30,44 +340,300 @@ function timestamp() {
  *   targetId    - DOM element ID to swap into (default: 'rcon-output')
  *   swapStyle   - hx-swap-oob style (default: 'beforeend')
  *   formatLine  - custom function(text, meta) => innerHTML string
+ *   colors      - render colour codes in server output: true for all kinds, or a list of
+ *                 'ansi', 'unity', 'minecraft' (default: off — codes are shown as text)
+ *   maxLines    - keep the output element to about this many lines: every block gets an id
+ *                 and blocks that fall out are removed with hx-swap-oob="delete" (default: off)
+ *   consoleWindow - a createConsoleWindow() to share between formatters; takes the place
+ *                 of maxLines (optional)
+ *   templates   - template set for responses, errors, info, server messages and the status
+ *                 badge: a preset name ('minimal', 'terminal', 'daisyui') or an object of
+ *                 overrides with an optional `preset`; see lib/templates.js (default: 'minimal').
+ *                 Other output (streams, macros, console events, panels) isn't templated
+ *   locale      - BCP 47 locale for times and numbers (default: 'en-US')
+ *   timeZone    - IANA time zone for times (default: the server's)
+ *   timeFormat  - Intl.DateTimeFormat options or function(date, { locale, timeZone }) for
+ *                 console times (default: { timeStyle: 'medium' })
+ *   relativeTime - show schedule and audit times as "5 minutes ago", with the absolute
+ *                  time in the title; console times stay absolute (default: false)
+ *   showDuration - show how long each command took next to its response (default: false)
+ *   clock       - a createClock() (lib/time.js); takes the place of the options above
+ *                 but showDuration (optional)
  *
- * Returns an object with methods: response(), error(), info(), auth(), serverMessage()
+ * Returns an object with methods: response(), error(), info(), timeout(), responseStart(), responseChunk(), responseEnd(),
+ * macroStart(), macroStep(), macroEnd(), auth(), reconnecting(), queue(), serverMessage(), consoleEvent(), serverPicker(), serverStatus(),
+ * players(), playersUpdate(), playersRemove(), sparkline(), metrics(), schedules(), scheduleRow(),
+ * scheduleCreated(), scheduleError(), historyRecall(), historyNav(), historyList(), auditHistory()
  */
 function createFormatter(options = {}) {
   const targetId = options.targetId || 'rcon-output';
   const swapStyle = options.swapStyle || 'beforeend';
   const customFormat = options.formatLine || null;
+  const colors = Array.isArray(options.colors) ? (options.colors.length ? options.colors : null)
+    : options.colors ? true
+    : null;
+
+  const templates = resolveTemplates(options.templates);
+
+  const clock = options.clock || createClock({
+    locale: options.locale,
+    timeZone: options.timeZone,
+    format: options.timeFormat,
+    relative: options.relativeTime,
+  });
+  const showDuration = Boolean(options.showDuration);
+
+  // Times go into markup as <time> elements; formatLine gets the plain text
+  const time = () => clock.time(new Date());
+  const timestamp = () => clock.text(new Date());
+
+  // How long a command took, as text — '' when not shown or not known
+  function elapsed(meta) {
+    return showDuration && meta && meta.duration != null ? escapeHtml(clock.duration(meta.duration)) : '';
+  }
+
+  // Server text: escaped, with colour codes rendered when enabled
+  function markup(text, state) {
+    return colors ? renderColors(text, colors, state) : escapeHtml(text);
+  }
+
+  const helpers = {
+    escape: escapeHtml,
+    markup: (text) => markup(text),
+    render: (kind, ctx) => templates[kind](ctx, helpers),
+  };
+
+  function render(kind, ctx) {
+    return templates[kind](ctx, helpers);
+  }
+
+  const consoleWindow = options.consoleWindow
+    || (options.maxLines ? createConsoleWindow({ maxLines: options.maxLines }) : null);
 
-  function wrap(innerHTML) {
-    return `<div id="${targetId}" hx-swap-oob="${swapStyle}">${innerHTML}</div>`;
+  // OOB deletes for blocks that fell out of the console window
+  function drop(ids) {
+    return ids.map((id) => `<div id="${id}" hx-swap-oob="delete"></div>`).join('');
+  }
+
+  /**
+   * Append a block to the output element. With a console window the block's root
+   * element gets an id (or keeps its own), and older blocks are trimmed. An `open`
+   * block stays until close().
+   */
+  function wrap(innerHTML, lineCount = 1, open = false) {
+    if (!consoleWindow) {
+      return `<div id="${targetId}" hx-swap-oob="${swapStyle}">${innerHTML}</div>`;
+    }
+
+    let html = innerHTML;
+    let id;
+    const root = /^\s*<([a-zA-Z][\w-]*)([^>]*)>/.exec(html);
+    const ownId = root && /\sid="([^"]+)"/.exec(root[2]);
+    if (ownId) {
+      id = ownId[1];
+    } else {
+      id = consoleWindow.nextId();
+      html = root
+        ? html.replace(/^\s*<([a-zA-Z][\w-]*)/, `<$1 id="${id}"`)
+        : `<div class="rcon-block" id="${id}">${html}</div>`;
+    }
+
+    return `<div id="${targetId}" hx-swap-oob="${swapStyle}">${html}</div>` +
+      drop(consoleWindow.add(id, lineCount, open));
+  }
+
+  /**
+   * Lines appended to an open block: trims older blocks if the window is full.
+   */
+  function grow(blockId, lineCount) {
+    return consoleWindow ? drop(consoleWindow.grow(blockId, lineCount)) : '';
+  }
+
+  /**
+   * An open block has ended: it can now be trimmed like the rest.
+   */
+  function close(blockId) {
+    return consoleWindow ? drop(consoleWindow.close(blockId)) : '';
+  }
+
+  function lines(text, at = time()) {
+    // Styles left open at the end of a line carry over to the next
+    const state = {};
+    return text.split('\n').filter(Boolean)
+      .map((line) => render('line', { text: line, html: markup(line, state), time: at }))
+      .join('');
+  }
+
+  function status(state, label) {
+    return oobRoot(render('status', { state, label }), 'rcon-status');
+  }
+
+  // Player rows are keyed by player id so updates can target them
+  function playerRow(p, extraClass, oob) {
+    return `<tr id="${playerRowId(p.id)}" class="rcon-player-row${extraClass ? ` ${extraClass}` : ''}"${oob ? ` hx-swap-oob="${oob}"` : ''}>` +
+        `<td class="rcon-player-name">${escapeHtml(p.name || '')}</td>` +
+        `<td class="rcon-player-steamid">${escapeHtml(p.steamId || '')}</td>` +
+        `<td class="rcon-player-ping">${p.ping != null ? p.ping : ''}</td>` +
+        `<td class="rcon-player-connected">${p.connected != null ? duration(p.connected) : ''}</td>` +
+        `<td class="rcon-player-address">${escapeHtml(p.address || '')}</td>` +
+      `</tr>`;
   }
 
   return {
     /**
-     * Format a command response.
+     * Format a command response. `meta.duration` is how long it took in ms.
      */
-    response(text, command) {
+    response(text, command, meta = {}) {
       if (customFormat) {
-        return wrap(customFormat(text, { type: 'response', command, timestamp: timestamp() }));
+        return wrap(customFormat(text, {
+          type: 'response', command, timestamp: timestamp(), duration: meta.duration,
+        }), countLines(text) + 1);
       }
 
-      const time = timestamp();
-      const lines = text.split('\n').filter(Boolean);
-      const formatted = lines
-        .map((line) => `<span class="rcon-line">${escapeHtml(line)}</span>`)
-        .join('');
+      const at = time();
+      return wrap(render('response', {
+        command, text, lines: lines(text, at), time: at, duration: elapsed(meta),
+      }), countLines(text) + 1);
+    },
 
+    /**
+     * Format a command that timed out, with any partial output and a retry button.
+     * The retry form re-sends the command over the htmx ws extension (ws-send).
+     */
+    timeout(command, partial, meta = {}) {
+      if (customFormat) {
+        return wrap(customFormat(partial || '', {
+          type: 'timeout', command, partial: Boolean(partial), timestamp: timestamp(), duration: meta.duration,
+        }));
+      }
+
+      const at = time();
+      return wrap(render('timeout', {
+        command,
+        partial: partial || '',
+        lines: partial ? lines(partial, at) : '',
+        note: partial ? 'Timed out — output may be incomplete.' : 'Timed out — no response.',
+        time: at,
+        duration: elapsed(meta),
+      }), countLines(partial) + 2);
+    },
+
+    /**
+     * Open an empty response block for a streamed command.
+     * Chunks are appended to #<blockId>-body by responseChunk().
+     */
+    responseStart(command, blockId) {
       return wrap(
-        `<div class="rcon-response">` +
+        `<div class="rcon-response" id="${blockId}">` +
           `<div class="rcon-meta">` +
             `<span class="rcon-cmd">&gt; ${escapeHtml(command)}</span>` +
-            `<span class="rcon-time">${time}</span>` +
+            `<span class="rcon-time">${time()}</span>` +
+            `<span class="rcon-stream-state streaming" id="${blockId}-state">…</span>` +
+          `</div>` +
+          `<div class="rcon-body" id="${blockId}-body"></div>` +
+        `</div>`,
+        1,
+        true
+      );
+    },
+
+    /**
+     * Append complete output lines to a streamed response block.
+     */
+    responseChunk(blockId, text) {
+      return `<div id="${blockId}-body" hx-swap-oob="beforeend">${lines(text)}</div>` +
+        grow(blockId, countLines(text));
+    },
+
+    /**
+     * Close a streamed response block — marks its state .done, with the duration
+     * when shown, and fills in "(no output)" if nothing arrived.
+     *
+     * `meta.state` 'timeout' or 'failed' ends it as .timeout or .failed instead:
+     * the output that arrived stays, followed by the timeout note and a retry form
+     * for `meta.command`, or by `meta.error`.
+     */
+    responseEnd(blockId, empty, meta = {}) {
+      const outcome = meta.state === 'timeout' || meta.state === 'failed' ? meta.state : 'done';
+      const state = `<span class="rcon-stream-state ${outcome}" id="${blockId}-state" hx-swap-oob="true">` +
+        `${elapsed(meta)}</span>`;
+      const append = (html) => `<div id="${blockId}-body" hx-swap-oob="beforeend">${html}</div>` + grow(blockId, 1);
+
+      if (outcome === 'timeout') {
+        const note = empty ? 'Timed out — no response.' : 'Timed out — output may be incomplete.';
+        return state +
+          append(`<div class="rcon-timeout-note">${escapeHtml(note)}${retryForm(meta.command || '', helpers)}</div>`) +
+          close(blockId);
+      }
+      if (outcome === 'failed') {
+        return state +
+          append(render('error', { message: `Command failed: ${meta.error || ''}`, time: time() })) +
+          close(blockId);
+      }
+      if (!empty) return state + close(blockId);
+      return state +
+        `<div id="${blockId}-body" hx-swap-oob="beforeend"><span class="rcon-empty">(no output)</span></div>` +
+        close(blockId);
+    },
+
+    /**
+     * Open a macro run block: a header with the macro name and state, and a list
+     * that macroStep() appends to.
+     */
+    macroStart(name, runId) {
+      return wrap(
+        `<div class="rcon-macro" id="${runId}">` +
+          `<div class="rcon-meta">` +
+            `<span class="rcon-cmd">macro ${escapeHtml(name)}</span>` +
+            `<span class="rcon-time">${time()}</span>` +
+            `<span class="rcon-macro-state running" id="${runId}-state">…</span>` +
           `</div>` +
-          `<div class="rcon-body">${formatted || '<span class="rcon-empty">(no output)</span>'}</div>` +
-        `</div>`
+          `<ol class="rcon-macro-steps" id="${runId}-steps"></ol>` +
+        `</div>`,
+        1,
+        true
       );
     },
 
+    /**
+     * Append one step (from runMacro's onStep) to a macro run block.
+     */
+    macroStep(runId, step) {
+      let item;
+      if (step.type === 'command') {
+        const outcome = step.timedOut ? ' rcon-timeout' : step.error ? ' rcon-failed' : '';
+        const body = customFormat
+          ? customFormat(step.response, { type: 'response', command: step.command, timestamp: timestamp() })
+          : lines(step.response);
+        const took = elapsed(step);
+        item = `<li class="rcon-macro-step command${outcome}">` +
+            `<span class="rcon-cmd">&gt; ${escapeHtml(step.command)}</span>` +
+            (took ? `<span class="rcon-duration">${took}</span>` : '') +
+            `<div class="rcon-body">${body || '<span class="rcon-empty">(no output)</span>'}</div>` +
+            (step.error && !step.timedOut ? `<span class="rcon-macro-error">${escapeHtml(step.error.message || String(step.error))}</span>` : '') +
+          `</li>`;
+      } else if (step.type === 'delay') {
+        item = `<li class="rcon-macro-step delay">wait ${step.ms ? formatDuration(step.ms) : '0s'}</li>`;
+      } else if (step.type === 'branch') {
+        item = `<li class="rcon-macro-step branch ${step.matched ? 'matched' : 'unmatched'}">` +
+          `${step.matched ? 'condition matched' : 'condition not matched'}</li>`;
+      } else {
+        item = `<li class="rcon-macro-step abort">${escapeHtml(step.message || '')}</li>`;
+      }
+      return `<ol id="${runId}-steps" hx-swap-oob="beforeend">${item}</ol>` +
+        grow(runId, step.type === 'command' ? countLines(step.response) + 1 : 1);
+    },
+
+    /**
+     * Close a macro run block — marks its state .done or .failed, with the reason.
+     */
+    macroEnd(runId, outcome) {
+      const state = outcome.ok ? 'done' : 'failed';
+      return `<span class="rcon-macro-state ${state}" id="${runId}-state" hx-swap-oob="true">` +
+        `${outcome.ok ? '' : escapeHtml(outcome.error || '')}</span>` +
+        close(runId);
+    },
+
     /**
      * Format an error message.
      */
@@ -76,11 +642,7 @@ function createFormatter(options = {}) {
         return wrap(customFormat(message, { type: 'error', timestamp: timestamp() }));
       }
 
-      return wrap(
-        `<div class="rcon-error">` +
-          `<span class="rcon-error-icon">!</span> ${escapeHtml(message)}` +
-        `</div>`
-      );
+      return wrap(render('error', { message, time: time() }));
     },
 
     /**
@@ -91,9 +653,7 @@ function createFormatter(options = {}) {
         return wrap(customFormat(message, { type: 'info', timestamp: timestamp() }));
       }
 
-      return wrap(
-        `<div class="rcon-info">${escapeHtml(message)}</div>`
-      );
+      return wrap(render('info', { message, time: time() }));
     },
 
     /**
@@ -101,19 +661,98 @@ function createFormatter(options = {}) {
      */
     serverMessage(text, type) {
       if (customFormat) {
-        return wrap(customFormat(text, { type: 'server', serverType: type, timestamp: timestamp() }));
+        return wrap(customFormat(text, { type: 'server', serverType: type, timestamp: timestamp() }), countLines(text));
       }
 
-      const time = timestamp();
-      const typeClass = (type || '').toLowerCase() === 'warning' ? 'rcon-warn'
-        : (type || '').toLowerCase() === 'error' ? 'rcon-error'
-        : 'rcon-server';
+      const at = time();
+      const level = ['warning', 'error'].includes((type || '').toLowerCase()) ? type.toLowerCase() : 'info';
 
-      return wrap(
-        `<div class="${typeClass}">` +
-          `<span class="rcon-time">${time}</span> ${escapeHtml(text)}` +
-        `</div>`
-      );
+      return wrap(render('serverMessage', {
+        text, html: markup(text), lines: lines(text, at), level, type, time: at,
+      }), countLines(text));
+    },
+
+    /**
+     * Format a parsed console event (see lib/rust-console.js) with a template per type:
+     * chat bubbles, join/leave badges, kill lines, plugin loads, saves and errors.
+     * Unknown types fall back to serverMessage().
+     */
+    consoleEvent(event) {
+      if (customFormat) {
+        return wrap(customFormat(event.raw || '', { type: 'event', event, timestamp: timestamp() }));
+      }
+
+      const stamp = `<span class="rcon-time">${time()}</span>`;
+      const player = (name, id) =>
+        `<span class="rcon-player"${id ? ` title="${escapeHtml(id)}"` : ''}>${escapeHtml(name || '')}</span>`;
+
+      switch (event.type) {
+        case 'chat':
+        case 'team-chat': {
+          // Only plain hex colours from the chat payload are passed through to style=""
+          const color = /^#[0-9a-f]{3,8}$/i.test(event.color || '') ? ` style="color:${event.color}"` : '';
+          const team = event.type === 'team-chat' ? ' rcon-team-chat' : '';
+          return wrap(
+            `<div class="rcon-chat${team}">` +
+              stamp +
+              `<span class="rcon-chat-user"${color}>${escapeHtml(event.user || '')}</span>` +
+              `<span class="rcon-chat-bubble">${markup(event.message || '')}</span>` +
+            `</div>`
+          );
+        }
+
+        case 'player-connected':
+        case 'player-disconnected': {
+          const joined = event.type === 'player-connected';
+          const reason = !joined && event.reason ? ` <span class="rcon-player-reason">(${escapeHtml(event.reason)})</span>` : '';
+          return wrap(
+            `<div class="rcon-player-event ${joined ? 'joined' : 'left'}">` +
+              stamp +
+              `<span class="rcon-badge ${joined ? 'rcon-join' : 'rcon-leave'}">${joined ? 'joined' : 'left'}</span> ` +
+              player(event.user, event.userId) + reason +
+            `</div>`
+          );
+        }
+
+        case 'kill':
+          return wrap(
+            `<div class="rcon-kill">` +
+              stamp +
+              `<span class="rcon-killer">${player(event.killer, event.killerId)}</span>` +
+              ` killed ` +
+              `<span class="rcon-victim">${player(event.victim, event.victimId)}</span>` +
+            `</div>`
+          );
+
+        case 'plugin-loaded':
+          return wrap(
+            `<div class="rcon-plugin">` +
+              stamp +
+              `Loaded <span class="rcon-plugin-name">${escapeHtml(event.name)}</span>` +
+              ` <span class="rcon-plugin-version">v${escapeHtml(event.version)}</span>` +
+              ` by ${escapeHtml(event.author)}` +
+            `</div>`
+          );
+
+        case 'save':
+          return wrap(
+            `<div class="rcon-save">` +
+              stamp +
+              (event.entities != null ? `Saved ${event.entities.toLocaleString(clock.locale)} entities` : escapeHtml(event.raw)) +
+            `</div>`
+          );
+
+        case 'error':
+          return wrap(
+            `<div class="rcon-error">` +
+              stamp +
+              `<span class="rcon-error-icon">!</span> ${markup(event.message)}` +
+            `</div>`
+          );
+
+        default:
+          return this.serverMessage(event.raw || '', 'Generic');
+      }
     },
 
     /**
@@ -122,17 +761,315 @@ function createFormatter(options = {}) {
      */
     auth(success, detail) {
       const statusHtml = success
-        ? `<span id="rcon-status" hx-swap-oob="true" class="rcon-status connected">Connected</span>`
-        : `<span id="rcon-status" hx-swap-oob="true" class="rcon-status disconnected">Disconnected</span>`;
+        ? status('connected', 'Connected')
+        : status('disconnected', 'Disconnected');
 
-      const msgHtml = success
-        ? this.info(detail || 'Authenticated to RCON server.')
-        : this.error(detail || 'Authentication failed.');
+      const message = detail || (success ? 'Authenticated to RCON server.' : 'Authentication failed.');
+      const msgHtml = customFormat
+        ? (success ? this.info(message) : this.error(message))
+        : wrap(render('auth', { success, message, time: time() }));
 
       // Return both OOB swaps as siblings
       return statusHtml + msgHtml;
     },
+
+    /**
+     * Format the command queue indicator.
+     * Replaces #rcon-queue; has class .queued while commands are waiting.
+     */
+    queue(depth, inFlight) {
+      const state = depth > 0 ? 'queued' : inFlight > 0 ? 'running' : 'idle';
+      const label = depth > 0 ? `${depth} queued` : '';
+      return `<span id="rcon-queue" hx-swap-oob="true" class="rcon-queue ${state}" data-depth="${depth}" data-in-flight="${inFlight}">${label}</span>`;
+    },
+
+    /**
+     * Format a reconnect attempt after the RCON connection dropped.
+     * Sets #rcon-status to "Reconnecting" until auth() reports the outcome.
+     */
+    reconnecting(attempt, delay) {
+      const seconds = Math.max(1, Math.round(delay / 1000));
+      return status('reconnecting', 'Reconnecting') +
+        this.info(`Reconnecting in ${seconds}s (attempt ${attempt})...`);
+    },
+
+    /**
+     * Format the server picker for the bridge's `servers` registry.
+     * Replaces #rcon-servers with one ws-send button per server, each holding its
+     * status badge. `servers` is [{ id, label }] — never pass passwords here.
+     */
+    serverPicker(servers, selectedId) {
+      const options = servers.map(({ id, label }) => {
+        const selected = id === selectedId ? ' selected' : '';
+        return `<form ws-send class="rcon-server-option${selected}">` +
+            `<input type="hidden" name="server" value="${escapeHtml(id)}">` +
+            `<button type="submit">` +
+              `<span class="rcon-server-label">${escapeHtml(label || id)}</span>` +
+              `<span id="rcon-server-${escapeHtml(id)}" class="rcon-server-status idle"></span>` +
+            `</button>` +
+          `</form>`;
+      }).join('');
+
+      return `<div id="rcon-servers" hx-swap-oob="true" class="rcon-servers">${options}</div>`;
+    },
+
+    /**
+     * Format the status badge of one server in the picker.
+     * State is 'idle', 'connecting', 'connected', 'reconnecting' or 'disconnected'.
+     */
+    serverStatus(id, state) {
+      const labels = {
+        connecting: 'Connecting',
+        connected: 'Connected',
+        reconnecting: 'Reconnecting',
+        disconnected: 'Disconnected',
+      };
+      return `<span id="rcon-server-${escapeHtml(id)}" hx-swap-oob="true" class="rcon-server-status ${state}">${labels[state] || ''}</span>`;
+    },
+
+    /**
+     * Format the full player list. Replaces #rcon-players; rows go in #rcon-players-body.
+     */
+    players(records) {
+      return `<table id="rcon-players" hx-swap-oob="true" class="rcon-players">` +
+        `<thead><tr><th>Name</th><th>SteamID</th><th>Ping</th><th>Connected</th><th>IP</th></tr></thead>` +
+        `<tbody id="rcon-players-body">${records.map((p) => playerRow(p)).join('')}</tbody>` +
+      `</table>`;
+    },
+
+    /**
+     * Format a player list diff ({ joined, left, changed }) as row-level OOB swaps:
+     * joined rows are appended with class .rcon-joining, changed rows are replaced,
+     * and left rows are replaced with class .rcon-leaving so CSS can animate them out
+     * before playersRemove() deletes them.
+     * Bare <tr>/<tbody> swaps rely on htmx 2's template-based fragment parsing.
+     */
+    playersUpdate(diff) {
+      const changed = diff.changed.map((p) => playerRow(p, '', 'true')).join('');
+      const left = diff.left.map((p) => playerRow(p, 'rcon-leaving', 'true')).join('');
+      const joined = diff.joined.length
+        ? `<tbody id="rcon-players-body" hx-swap-oob="beforeend">${diff.joined.map((p) => playerRow(p, 'rcon-joining')).join('')}</tbody>`
+        : '';
+      return changed + left + joined;
+    },
+
+    /**
+     * Delete the rows of players who left.
+     */
+    playersRemove(records) {
+      return records.map((p) =>
+        `<tr id="${playerRowId(p.id)}" hx-swap-oob="delete"></tr>`
+      ).join('');
+    },
+
+    /**
+     * Render a series of numbers as an inline SVG sparkline. Null values are skipped.
+     *
+     * Options:
+     *   width   - SVG width in px (default: 120)
+     *   height  - SVG height in px (default: 24)
+     */
+    sparkline(values, opts = {}) {
+      const width = opts.width || 120;
+      const height = opts.height || 24;
+      const points = values.map((v, i) => [i, v]).filter(([, v]) => v != null);
+
+      let path = '';
+      if (points.length) {
+        const nums = points.map(([, v]) => v);
+        const min = Math.min(...nums);
+        const range = Math.max(...nums) - min || 1;
+        const last = Math.max(values.length - 1, 1);
+        // 1px inset so the stroke isn't clipped at the top and bottom
+        const y = (v) => (height - 1 - ((v - min) / range) * (height - 2)).toFixed(1);
+        path = points.length === 1
+          ? `0,${y(nums[0])} ${width},${y(nums[0])}`
+          : points.map(([i, v]) => `${((i / last) * width).toFixed(1)},${y(v)}`).join(' ');
+      }
+
+      return `<svg class="rcon-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" aria-hidden="true">` +
+        (path ? `<polyline fill="none" stroke="currentColor" stroke-width="1.5" points="${path}"/>` : '') +
+      `</svg>`;
+    },
+
+    /**
+     * Format metrics samples (oldest first) as one sparkline per metric.
+     * Replaces #rcon-metrics; metrics the server doesn't report are left out.
+     */
+    metrics(samples) {
+      const fields = [
+        { key: 'fps', label: 'FPS', value: (v) => v.toFixed(1) },
+        { key: 'players', label: 'Players', value: (v) => String(v) },
+        { key: 'entities', label: 'Entities', value: (v) => v.toLocaleString(clock.locale) },
+        { key: 'memory', label: 'Memory', value: (v) => `${Math.round(v).toLocaleString(clock.locale)} MB` },
+      ];
+      const latest = samples[samples.length - 1] || {};
+
+      const html = fields
+        .filter((f) => samples.some((s) => s[f.key] != null))
+        .map((f) => `<div class="rcon-metric rcon-metric-${f.key}">` +
+            `<span class="rcon-metric-label">${f.label}</span>` +
+            this.sparkline(samples.map((s) => s[f.key])) +
+            `<span class="rcon-metric-value">${latest[f.key] != null ? escapeHtml(f.value(latest[f.key])) : '–'}</span>` +
+          `</div>`)
+        .join('');
+
+      return `<div id="rcon-metrics" hx-swap-oob="true" class="rcon-metrics">${html}</div>`;
+    },
+
+    /**
+     * Render the scheduler panel: a table of schedules and a create form.
+     * Not an OOB swap — the response to an hx-get (see createScheduleHandler()).
+     *
+     * View options:
+     *   basePath  - URL prefix of the schedule handler (default: '/schedules')
+     *   servers   - [{ id, label }] for the server column and the create form's select
+     *   nextRun   - function(schedule) => Date | null, e.g. scheduler.nextRun
+     */
+    schedules(list, view = {}) {
+      const base = view.basePath || '/schedules';
+      const servers = view.servers || [];
+      const select = servers.length > 1
+        ? `<select name="server">${servers.map((s) =>
+            `<option value="${escapeHtml(s.id)}">${escapeHtml(s.label || s.id)}</option>`).join('')}</select>`
+        : '';
+
+      return `<div id="rcon-schedules" class="rcon-schedules">` +
+          `<table class="rcon-schedule-table">` +
+            `<thead><tr><th>Name</th><th>Server</th><th>When</th><th>Command</th>` +
+            `<th>Last run</th><th>Next run</th><th></th></tr></thead>` +
+            `<tbody id="rcon-schedules-body">${list.map((s) => this.scheduleRow(s, view)).join('')}</tbody>` +
+          `</table>` +
+          `<div id="rcon-schedule-error" class="rcon-schedule-error"></div>` +
+          `<form class="rcon-schedule-form" hx-post="${escapeHtml(base)}" hx-target="#rcon-schedules-body" ` +
+            `hx-swap="beforeend" hx-on:rcon-schedule-created="this.reset()">` +
+            `<input name="name" placeholder="Name" required>` +
+            select +
+            `<input name="when" placeholder="0 4 * * *  or  every 1h" required>` +
+            `<input name="command" placeholder="Command" required>` +
+            `<button type="submit">Add</button>` +
+          `</form>` +
+        `</div>`;
+    },
+
+    /**
+     * Render one schedule as a #rcon-schedule-<id> row with pause/resume and delete buttons.
+     */
+    scheduleRow(s, view = {}) {
+      const base = `${view.basePath || '/schedules'}/${encodeURIComponent(s.id)}`;
+      const server = (view.servers || []).find((x) => x.id === s.server);
+      const when = s.cron ? `<code>${escapeHtml(s.cron)}</code>` : `every ${formatDuration(s.every)}`;
+
+      const last = !s.lastRun ? ''
+        : `<span class="rcon-schedule-result ${s.lastRun.ok ? 'ok' : 'failed'}" ` +
+            `title="${escapeHtml(s.lastRun.ok ? s.lastRun.response || '' : s.lastRun.error || '')}">` +
+            `${s.lastRun.ok ? 'ok' : 'failed'}</span> ${clock.dateTime(new Date(s.lastRun.at))}`;
+      const next = s.enabled && view.nextRun ? view.nextRun(s) : null;
+      const toggle = s.enabled ? 'pause' : 'resume';
+
+      return `<tr id="rcon-schedule-${escapeHtml(s.id)}" class="rcon-schedule ${s.enabled ? 'enabled' : 'paused'}">` +
+          `<td class="rcon-schedule-name">${escapeHtml(s.name)}</td>` +
+          `<td class="rcon-schedule-server">${escapeHtml(server ? server.label || server.id : s.server || '')}</td>` +
+          `<td class="rcon-schedule-when">${when}</td>` +
+          `<td class="rcon-schedule-cmd"><code>${escapeHtml(s.command)}</code></td>` +
+          `<td class="rcon-schedule-last">${last}</td>` +
+          `<td class="rcon-schedule-next">${next ? clock.dateTime(next) : s.enabled ? '' : 'paused'}</td>` +
+          `<td class="rcon-schedule-actions">` +
+            `<button hx-post="${escapeHtml(`${base}/${toggle}`)}" hx-target="closest tr" hx-swap="outerHTML">` +
+              `${s.enabled ? 'Pause' : 'Resume'}</button>` +
+            `<button hx-delete="${escapeHtml(base)}" hx-target="closest tr" hx-swap="outerHTML" ` +
+              `hx-confirm="${escapeHtml(`Delete schedule "${s.name}"?`)}">Delete</button>` +
+          `</td>` +
+        `</tr>`;
+    },
+
+    /**
+     * Response to a successful create: the new row, plus clearing #rcon-schedule-error.
+     */
+    scheduleCreated(s, view = {}) {
+      return this.scheduleRow(s, view) +
+        `<div id="rcon-schedule-error" hx-swap-oob="true" class="rcon-schedule-error"></div>`;
+    },
+
+    /**
+     * Show a scheduler error (e.g. an invalid cron expression) in #rcon-schedule-error.
+     */
+    scheduleError(message) {
+      return `<div id="rcon-schedule-error" hx-swap-oob="true" class="rcon-schedule-error">${escapeHtml(message)}</div>`;
+    },
+
+    /**
+     * Put a history entry into the command input. Replaces #rcon-command (keep your
+     * styling on its id or .rcon-command) and moves the arrow-key bindings along.
+     */
+    historyRecall(command, offset, total) {
+      return `<input type="text" id="rcon-command" name="command" class="rcon-command" ` +
+          `value="${escapeHtml(command)}" autocomplete="off" autofocus hx-swap-oob="true">` +
+        this.historyNav(offset, total);
+    },
+
+    /**
+     * Arrow-key bindings for the command input, in #rcon-history-nav: ArrowUp asks
+     * for the next older entry, ArrowDown for the next newer one. `offset` is the
+     * entry now shown (-1 for none), `total` the history length.
+     */
+    historyNav(offset, total) {
+      const key = (name, to) =>
+        `<span ws-send hx-trigger="keydown[key=='${name}'] from:#rcon-command" ` +
+          `hx-vals='{"history.offset": ${to}}'></span>`;
+
+      return `<div id="rcon-history-nav" hx-swap-oob="true" class="rcon-history-nav" hidden>` +
+          (offset + 1 < total ? key('ArrowUp', offset + 1) : '') +
+          (offset >= 0 ? key('ArrowDown', offset - 1) : '') +
+        `</div>`;
+    },
+
+    /**
+     * Render history search results (from history.search()) into #rcon-history.
+     * Each entry is a button that recalls it into the command input.
+     */
+    historyList(matches, search) {
+      const items = matches.map((m) =>
+        `<li class="rcon-history-entry">` +
+          `<button type="button" ws-send hx-vals='{"history.offset": ${m.offset}}'>${escapeHtml(m.command)}</button>` +
+        `</li>`
+      ).join('');
+
+      return `<ul id="rcon-history" hx-swap-oob="true" class="rcon-history">` +
+          (items || `<li class="rcon-empty">${search ? '(no matches)' : '(no history)'}</li>`) +
+        `</ul>`;
+    },
+
+    /**
+     * Render audit records (from audit.query()) as a #rcon-audit table.
+     * Not an OOB swap — meant as the response to an hx-get for an audit history view.
+     */
+    auditHistory(records) {
+      const rows = records.map((r) => {
+        const user = r.user && typeof r.user === 'object' ? (r.user.name || r.user.id || '') : (r.user || '');
+        const outcome = r.decision === 'blocked' ? `blocked: ${r.reason || ''}`
+          : r.timedOut ? 'timed out'
+          : r.error ? `failed: ${r.error}`
+          : 'ok';
+        return `<tr class="rcon-audit-row ${r.decision}">` +
+          `<td class="rcon-audit-time">${clock.dateTime(new Date(r.ts))}</td>` +
+          `<td class="rcon-audit-user">${escapeHtml(String(user))}</td>` +
+          `<td class="rcon-audit-addr">${escapeHtml(r.remoteAddress || '')}</td>` +
+          `<td class="rcon-audit-target">${escapeHtml(r.target || '')}</td>` +
+          `<td class="rcon-audit-cmd">${escapeHtml(r.command)}</td>` +
+          `<td class="rcon-audit-outcome">${escapeHtml(outcome)}</td>` +
+          `<td class="rcon-audit-duration">${r.duration != null ? `${r.duration} ms` : ''}</td>` +
+          `<td class="rcon-audit-response">${escapeHtml(r.response || '')}</td>` +
+        `</tr>`;
+      }).join('');
+
+      return `<table id="rcon-audit" class="rcon-audit">` +
+        `<thead><tr><th>Time</th><th>User</th><th>Address</th><th>Server</th>` +
+        `<th>Command</th><th>Outcome</th><th>Duration</th><th>Response</th></tr></thead>` +
+        `<tbody>${rows || '<tr><td colspan="8" class="rcon-empty">(no records)</td></tr>'}</tbody>` +
+      `</table>`;
+    },
   };
 }
 
-module.exports = { createFormatter, escapeHtml };
+module.exports = { createFormatter, createConsoleWindow, escapeHtml, renderColors };
@@ -0,0 +1,87 @@
+'use strict';
+
+/**
+ * Command history, one list per key (the bridge keys by user and server).
+ * Entries are kept newest first:
+ *
+ *   { command: 'kick bob', time: 1790000000000 }
+ *
+ * An offset counts back from the newest entry: 0 is the last command sent.
+ *
+ * Options:
+ *   max    - entries kept per key (default: 100)
+ *   dedup  - re-running a command moves it to the top instead of adding a copy
+ *            (default: true)
+ *
+ * Returns an object with methods: add(key, command), at(key, offset), list(key),
+ * search(key, text, limit), size(key) and clear(key).
+ */
+function createHistory(options = {}) {
+  const max = options.max || 100;
+  const dedup = options.dedup !== false;
+  const lists = new Map();
+
+  return {
+    max,
+    dedup,
+
+    add(key, command) {
+      let entries = lists.get(key);
+      if (!entries) {
+        entries = [];
+        lists.set(key, entries);
+      }
+
+      if (dedup) {
+        const i = entries.findIndex((e) => e.command === command);
+        if (i !== -1) entries.splice(i, 1);
+      }
+
+      entries.unshift({ command, time: Date.now() });
+      if (entries.length > max) entries.length = max;
+    },
+
+    /**
+     * The entry at an offset, or null.
+     */
+    at(key, offset) {
+      const entries = lists.get(key);
+      return (entries && entries[offset]) || null;
+    },
+
+    /**
+     * All entries, newest first.
+     */
+    list(key) {
+      return (lists.get(key) || []).slice();
+    },
+
+    /**
+     * Entries whose command contains `text` (case-insensitive), newest first,
+     * each with its offset for recall. An empty search matches everything.
+     */
+    search(key, text = '', limit = 20) {
+      const needle = String(text).trim().toLowerCase();
+      const out = [];
+      const entries = lists.get(key) || [];
+
+      for (let offset = 0; offset < entries.length && out.length < limit; offset++) {
+        if (!needle || entries[offset].command.toLowerCase().includes(needle)) {
+          out.push({ ...entries[offset], offset });
+        }
+      }
+
+      return out;
+    },
+
+    size(key) {
+      return (lists.get(key) || []).length;
+    },
+
+    clear(key) {
+      lists.delete(key);
+    },
+  };
+}
+
+module.exports = { createHistory };
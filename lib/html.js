@@ -0,0 +1,16 @@
+'use strict';
+
+/**
+ * Escape HTML special characters — safe in text and in quoted attribute values
+ * of either kind.
+ */
+function escapeHtml(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = { escapeHtml };
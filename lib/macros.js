@@ -0,0 +1,244 @@
+'use strict';
+
+const { setTimeout: sleep } = require('timers/promises');
+const { parseDuration } = require('./duration');
+
+/**
+ * Command macros — named, parameterized sequences of steps.
+ *
+ * A macro definition:
+ *   {
+ *     description: 'Save and restart',
+ *     params: { minutes: { default: '5', pattern: /^\d+$/ } },   // or ['minutes']
+ *     steps: [
+ *       'say Restarting in {{minutes}} minutes',                  // command
+ *       { command: 'server.save', as: 'save' },                   // command, output kept as "save"
+ *       { delay: '5s' },                                          // wait (ms or '5s', '2m')
+ *       { if: /saved/i, in: 'save',                               // conditional on earlier output
+ *         then: ['quit'],
+ *         else: [{ abort: 'Save failed — not restarting' }] },
+ *     ],
+ *   }
+ *
+ * Step kinds:
+ *   'text' or { command, as, continueOnError }  - run a command; `{{param}}` placeholders are
+ *                                                 filled in. A failed command stops the macro
+ *                                                 unless continueOnError is set.
+ *   { delay }                                   - wait
+ *   { if, in, then, else }                      - run `then` if the test matches the previous
+ *                                                 command's output (or the output stored with
+ *                                                 `as` under the name in `in`), else `else`.
+ *                                                 The test is a RegExp, a regex source string
+ *                                                 (case-insensitive) or function(output, outputs).
+ *   { abort }                                   - stop the macro with a message
+ */
+
+// Characters a parameter value may not contain — they would smuggle in extra commands
+const UNSAFE_PARAM = /[\r\n;\0]/;
+
+function compileTest(test, where) {
+  if (test instanceof RegExp || typeof test === 'function') return test;
+  if (typeof test === 'string') return new RegExp(test, 'i');
+  throw new Error(`rcon-htmx: ${where} needs "if" to be a RegExp, string or function`);
+}
+
+/**
+ * Validate and normalize a list of steps.
+ */
+function compileSteps(steps, where) {
+  if (!Array.isArray(steps)) throw new Error(`rcon-htmx: ${where} must be an array of steps`);
+
+  return steps.map((step, i) => {
+    const at = `${where}[${i}]`;
+
+    if (typeof step === 'string') return { kind: 'command', command: step, as: null, continueOnError: false };
+    if (!step || typeof step !== 'object') throw new Error(`rcon-htmx: ${at} is not a valid step`);
+
+    if (step.command != null) {
+      return {
+        kind: 'command',
+        command: String(step.command),
+        as: step.as || null,
+        continueOnError: Boolean(step.continueOnError),
+      };
+    }
+    if (step.delay != null) return { kind: 'delay', ms: parseDuration(step.delay) };
+    if (step.if != null) {
+      return {
+        kind: 'if',
+        test: compileTest(step.if, at),
+        in: step.in || null,
+        then: compileSteps(step.then || [], `${at}.then`),
+        else: compileSteps(step.else || [], `${at}.else`),
+      };
+    }
+    if (step.abort != null) return { kind: 'abort', message: String(step.abort) };
+
+    throw new Error(`rcon-htmx: ${at} needs "command", "delay", "if" or "abort"`);
+  });
+}
+
+/**
+ * Validate macro definitions. Returns a Map of name -> compiled macro.
+ * Throws on the first invalid definition, so mistakes surface at startup.
+ */
+function createMacros(definitions = {}) {
+  const macros = new Map();
+
+  for (const [name, def] of Object.entries(definitions)) {
+    const params = Array.isArray(def.params)
+      ? Object.fromEntries(def.params.map((p) => [p, {}]))
+      : def.params || {};
+
+    macros.set(name, {
+      name,
+      description: def.description || '',
+      params,
+      steps: compileSteps(def.steps, `macro "${name}" steps`),
+    });
+  }
+
+  return macros;
+}
+
+/**
+ * Check the parameters for a macro run against its declarations and fill in defaults.
+ * Returns a plain object of string values; throws with a user-facing message.
+ */
+function resolveParams(macro, input = {}) {
+  const values = {};
+
+  for (const [key, value] of Object.entries(input || {})) {
+    values[key] = String(value);
+  }
+
+  for (const [key, spec] of Object.entries(macro.params)) {
+    if ((values[key] == null || values[key] === '') && spec.default != null) {
+      values[key] = String(spec.default);
+    }
+    if (values[key] == null || values[key] === '') {
+      throw new Error(`Missing parameter "${key}"`);
+    }
+    if (spec.pattern && !spec.pattern.test(values[key])) {
+      throw new Error(`Invalid value for parameter "${key}"`);
+    }
+  }
+
+  for (const [key, value] of Object.entries(values)) {
+    if (UNSAFE_PARAM.test(value)) {
+      throw new Error(`Parameter "${key}" can't contain ";" or line breaks`);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Fill `{{param}}` placeholders. Unknown placeholders are an error.
+ */
+function expand(template, params) {
+  return template.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (_, key) => {
+    if (!Object.prototype.hasOwnProperty.call(params, key)) {
+      throw new Error(`Missing parameter "${key}"`);
+    }
+    return params[key];
+  });
+}
+
+/**
+ * Every command a macro could run with these params, across all branches —
+ * for authorizing the whole macro before any of it runs.
+ */
+function macroCommands(macro, params) {
+  const out = [];
+  const walk = (steps) => {
+    for (const step of steps) {
+      if (step.kind === 'command') out.push(expand(step.command, params));
+      if (step.kind === 'if') {
+        walk(step.then);
+        walk(step.else);
+      }
+    }
+  };
+  walk(macro.steps);
+  return out;
+}
+
+/**
+ * Run a macro.
+ *
+ * Options:
+ *   exec    - async function(command) => { response, error, timedOut, duration } (required;
+ *             timedOut and duration are optional)
+ *   onStep  - function(event) called as the macro progresses:
+ *               { type: 'command', command, response, error, timedOut, duration }
+ *               { type: 'delay', ms }
+ *               { type: 'branch', matched }
+ *               { type: 'abort', message }
+ *   signal  - AbortSignal to cancel the run (e.g. when the browser disconnects)
+ *
+ * Resolves with { ok, error } — error is a message when the macro failed or aborted.
+ */
+async function runMacro(macro, params, options = {}) {
+  const { exec, onStep = () => {}, signal } = options;
+  const outputs = {};
+  let last = '';
+
+  async function run(steps) {
+    for (const step of steps) {
+      if (signal && signal.aborted) throw new Error('Cancelled');
+
+      if (step.kind === 'command') {
+        const command = expand(step.command, params);
+        const result = await exec(command);
+        const response = result.response || '';
+        onStep({
+          type: 'command',
+          command,
+          response,
+          error: result.error || null,
+          timedOut: Boolean(result.timedOut),
+          duration: result.duration != null ? result.duration : null,
+        });
+
+        last = response;
+        if (step.as) outputs[step.as] = response;
+        if (result.error && !step.continueOnError) {
+          throw new Error(`Step failed: ${command} — ${result.error.message || result.error}`);
+        }
+      } else if (step.kind === 'delay') {
+        onStep({ type: 'delay', ms: step.ms });
+        try {
+          await sleep(step.ms, undefined, { signal });
+        } catch {
+          throw new Error('Cancelled');
+        }
+      } else if (step.kind === 'if') {
+        const output = step.in ? outputs[step.in] || '' : last;
+        const matched = typeof step.test === 'function'
+          ? Boolean(await step.test(output, outputs))
+          : (step.test.lastIndex = 0, step.test.test(output));
+        onStep({ type: 'branch', matched });
+        await run(matched ? step.then : step.else);
+      } else if (step.kind === 'abort') {
+        onStep({ type: 'abort', message: step.message });
+        throw new Error(step.message);
+      }
+    }
+  }
+
+  try {
+    await run(macro.steps);
+    return { ok: true, error: null };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+module.exports = {
+  createMacros,
+  resolveParams,
+  macroCommands,
+  runMacro,
+  expand,
+};
@@ -0,0 +1,254 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+
+/**
+ * Server metrics sampled over RCON. A sample looks like:
+ *
+ *   {
+ *     time: 1790000000000,   // ms since epoch
+ *     fps: 59.8,
+ *     players: 42,
+ *     entities: 183422,      // null on Source
+ *     memory: 8123,          // MB, null on Source
+ *   }
+ */
+
+// Fields every sample carries, with their Prometheus names and help text
+const FIELDS = [
+  { key: 'fps', name: 'rcon_fps', help: 'Server frames per second.' },
+  { key: 'players', name: 'rcon_players', help: 'Players online.' },
+  { key: 'entities', name: 'rcon_entities', help: 'Entities in the world.' },
+  { key: 'memory', name: 'rcon_memory_bytes', help: 'Server memory use in bytes.', scale: 1024 * 1024 },
+];
+
+function toNumber(value) {
+  const n = Number(value);
+  return value == null || value === '' || Number.isNaN(n) ? null : n;
+}
+
+/**
+ * Parse the JSON returned by `serverinfo` on a Rust server.
+ */
+function parseRustServerInfo(text) {
+  let info;
+  try {
+    info = JSON.parse(text);
+  } catch {
+    throw new Error('rcon-htmx: serverinfo did not return JSON');
+  }
+
+  return {
+    fps: toNumber(info.Framerate),
+    players: toNumber(info.Players),
+    entities: toNumber(info.EntityCount),
+    memory: toNumber(info.Memory),
+  };
+}
+
+/**
+ * Parse the output of `stats` on a Source server — a header row followed by a row
+ * of values:
+ *
+ *   CPU   In (KB/s)  Out (KB/s)  Uptime  Map changes  FPS      Players  Connects
+ *   0.00  0.00       0.00        3       0            64.08    0        0
+ */
+function parseSourceStats(text) {
+  const lines = String(text || '').split('\n').map((l) => l.trim()).filter(Boolean);
+  const row = lines.findIndex((l) => /^[\d.\s]+$/.test(l));
+  if (row < 1) throw new Error('rcon-htmx: unrecognized stats output');
+
+  const header = lines[row - 1]
+    .replace(/\s*\(KB\/s\)/g, '')
+    .replace(/Map changes/i, 'Maps')
+    .split(/\s+/)
+    .map((h) => h.toLowerCase());
+  const values = lines[row].split(/\s+/);
+  const column = (name) => {
+    const i = header.indexOf(name);
+    return i === -1 ? null : toNumber(values[i]);
+  };
+
+  return {
+    fps: column('fps'),
+    players: column('players'),
+    entities: null,
+    memory: null,
+  };
+}
+
+/**
+ * MetricsSampler runs a stats command on an interval and keeps the last `size`
+ * samples in a ring buffer.
+ *
+ * Options:
+ *   exec      - function(command) => Promise of the response text (required)
+ *   command   - stats command, e.g. 'stats' or 'serverinfo' (required)
+ *   parse     - function(text) => { fps, players, entities, memory } (required)
+ *   interval  - ms between samples (default: 15000)
+ *   size      - samples kept (default: 120)
+ *
+ * Events:
+ *   'sample' (sample)        - a new sample was taken
+ *   'sample-error' (err)     - sampling failed; `up` is false until the next success
+ */
+class MetricsSampler extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.exec = options.exec;
+    this.command = options.command;
+    this.parse = options.parse;
+    this.interval = options.interval || 15000;
+    this.size = options.size || 120;
+
+    this._buffer = new Array(this.size);
+    this._next = 0;
+    this._count = 0;
+    this._timer = null;
+    this._sampling = false;
+    this.up = false;
+  }
+
+  /**
+   * Samples in the buffer, oldest first.
+   */
+  get samples() {
+    const out = [];
+    const start = (this._next - this._count + this.size) % this.size;
+    for (let i = 0; i < this._count; i++) {
+      out.push(this._buffer[(start + i) % this.size]);
+    }
+    return out;
+  }
+
+  /**
+   * The most recent sample, or null.
+   */
+  get latest() {
+    return this._count ? this._buffer[(this._next - 1 + this.size) % this.size] : null;
+  }
+
+  get running() {
+    return this._timer !== null;
+  }
+
+  /**
+   * Sample now and then every `interval` ms. Does nothing if already running.
+   */
+  start() {
+    if (this._timer) return;
+    this._timer = setInterval(() => this.sample(), this.interval);
+    if (this._timer.unref) this._timer.unref();
+    this.sample();
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Take one sample. Overlapping calls are skipped.
+   */
+  async sample() {
+    if (this._sampling) return;
+    this._sampling = true;
+
+    try {
+      const values = this.parse(await this.exec(this.command));
+      const sample = { time: Date.now(), ...values };
+
+      this._buffer[this._next] = sample;
+      this._next = (this._next + 1) % this.size;
+      this._count = Math.min(this._count + 1, this.size);
+      this.up = true;
+
+      this.emit('sample', sample);
+    } catch (err) {
+      this.up = false;
+      this.emit('sample-error', err);
+    } finally {
+      this._sampling = false;
+    }
+  }
+}
+
+/**
+ * Registry of samplers, one per server, with a Prometheus text-format view.
+ *
+ * Options:
+ *   interval  - ms between samples (default: 15000)
+ *   size      - samples kept per server (default: 120)
+ *
+ * Returns an object with methods: add(id, sampler), get(id), remove(id),
+ * prometheus() and handler(req, res), and the sampler map in `samplers`.
+ */
+function createMetrics(options = {}) {
+  const samplers = new Map();
+
+  /**
+   * The latest sample of every server in Prometheus text exposition format.
+   */
+  function prometheus() {
+    const label = (id) => `server="${String(id).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+    const out = [
+      '# HELP rcon_up Whether the last metrics sample succeeded.',
+      '# TYPE rcon_up gauge',
+    ];
+
+    for (const [id, sampler] of samplers) {
+      out.push(`rcon_up{${label(id)}} ${sampler.up ? 1 : 0}`);
+    }
+
+    for (const field of FIELDS) {
+      const lines = [];
+      for (const [id, sampler] of samplers) {
+        const latest = sampler.latest;
+        if (!latest || latest[field.key] == null) continue;
+        lines.push(`${field.name}{${label(id)}} ${latest[field.key] * (field.scale || 1)} ${latest.time}`);
+      }
+      if (!lines.length) continue;
+      out.push(`# HELP ${field.name} ${field.help}`, `# TYPE ${field.name} gauge`, ...lines);
+    }
+
+    return `${out.join('\n')}\n`;
+  }
+
+  return {
+    interval: options.interval || 15000,
+    size: options.size || 120,
+    samplers,
+    prometheus,
+
+    add(id, sampler) {
+      samplers.set(id, sampler);
+      return sampler;
+    },
+
+    get(id) {
+      return samplers.get(id) || null;
+    },
+
+    remove(id) {
+      const sampler = samplers.get(id);
+      if (sampler) sampler.stop();
+      samplers.delete(id);
+    },
+
+    /**
+     * HTTP handler (Node or Express) that serves prometheus(). Safe to pass unbound.
+     */
+    handler(req, res) {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(prometheus());
+    },
+  };
+}
+
+module.exports = {
+  MetricsSampler,
+  createMetrics,
+  parseRustServerInfo,
+  parseSourceStats,
+  FIELDS,
+};
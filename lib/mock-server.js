@@ -0,0 +1,309 @@
+'use strict';
+
+const http = require('http');
+const net = require('net');
+const { WebSocketServer } = require('ws');
+const {
+  encodePacket,
+  decodePacket,
+  SERVERDATA_AUTH,
+  SERVERDATA_AUTH_RESPONSE,
+  SERVERDATA_EXECCOMMAND,
+  SERVERDATA_RESPONSE_VALUE,
+} = require('./rcon');
+
+/**
+ * In-process fake game servers for testing the bridge and RCON clients offline.
+ *
+ * Shared options:
+ *   password   - RCON password the server accepts (default: 'password')
+ *   authFail   - reject every auth attempt, whatever the password (default: false)
+ *   commands   - map of command name -> response, where a response is a string or
+ *                function(args, command) => string | Promise<string>
+ *   fallback   - function(command) => string for unknown commands
+ *                (default: `Unknown command: <command>`)
+ *
+ * Command names match the first word of the command, so `{ say: (args) => ... }`
+ * handles `say hello world` with args `['hello', 'world']`.
+ */
+
+/**
+ * Resolve a command against the scripted handlers.
+ */
+async function runCommand(options, command) {
+  const [name, ...args] = command.trim().split(/\s+/);
+  const commands = options.commands || {};
+
+  if (Object.prototype.hasOwnProperty.call(commands, command)) {
+    return resolveResponse(commands[command], args, command);
+  }
+  if (Object.prototype.hasOwnProperty.call(commands, name)) {
+    return resolveResponse(commands[name], args, command);
+  }
+  if (options.fallback) return String(await options.fallback(command));
+  return `Unknown command: ${name}`;
+}
+
+async function resolveResponse(handler, args, command) {
+  const out = typeof handler === 'function' ? await handler(args, command) : handler;
+  return out == null ? '' : String(out);
+}
+
+/**
+ * Shared listen/close plumbing for both fake servers.
+ */
+function listenOn(server, port, host) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port || 0, host || '127.0.0.1', () => {
+      server.removeListener('error', reject);
+      resolve(server.address().port);
+    });
+  });
+}
+
+/**
+ * Fake Source RCON server speaking the binary TCP protocol.
+ *
+ * Extra options:
+ *   maxPacketBody - split responses into RESPONSE_VALUE packets of at most this many
+ *                   bytes of body (default: 4096, like SRCDS)
+ *   chunkSize     - write each packet to the socket in fragments of this many bytes,
+ *                   to exercise receive-buffer reassembly (default: off)
+ *   mirrorSentinel - mirror empty RESPONSE_VALUE packets back, followed by the SRCDS
+ *                   "\0\0\1\0" trailer packet (default: true)
+ *
+ * Returns an object with methods: listen(port?), close(), push(body), and
+ * properties: port, received (commands in arrival order), connections (open sockets).
+ */
+function createMockSourceServer(options = {}) {
+  const password = options.password != null ? options.password : 'password';
+  const maxPacketBody = options.maxPacketBody || 4096;
+  const chunkSize = options.chunkSize || 0;
+  const mirrorSentinel = options.mirrorSentinel !== false;
+
+  const sockets = new Set();
+  const received = [];
+
+  function write(socket, packet) {
+    if (socket.destroyed) return;
+    if (!chunkSize) {
+      socket.write(packet);
+      return;
+    }
+    for (let i = 0; i < packet.length; i += chunkSize) {
+      socket.write(packet.slice(i, i + chunkSize));
+    }
+  }
+
+  function writeResponse(socket, id, body) {
+    const buf = Buffer.from(body, 'utf8');
+    if (buf.length === 0) {
+      write(socket, encodePacket(id, SERVERDATA_RESPONSE_VALUE, ''));
+      return;
+    }
+    for (let i = 0; i < buf.length; i += maxPacketBody) {
+      write(socket, encodePacket(id, SERVERDATA_RESPONSE_VALUE, buf.slice(i, i + maxPacketBody).toString('utf8')));
+    }
+  }
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.authenticated = false;
+
+    let recvBuf = Buffer.alloc(0);
+    // Commands run asynchronously but must be answered in arrival order
+    let queue = Promise.resolve();
+
+    socket.on('data', (chunk) => {
+      recvBuf = Buffer.concat([recvBuf, chunk]);
+
+      while (true) {
+        const pkt = decodePacket(recvBuf);
+        if (!pkt) break;
+        recvBuf = recvBuf.slice(pkt.totalLength);
+        queue = queue.then(() => handlePacket(socket, pkt));
+      }
+    });
+
+    socket.on('error', () => {});
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  async function handlePacket(socket, pkt) {
+    if (pkt.type === SERVERDATA_AUTH) {
+      const ok = !options.authFail && pkt.body === password;
+      // SRCDS sends an empty RESPONSE_VALUE before the AUTH_RESPONSE
+      write(socket, encodePacket(pkt.id, SERVERDATA_RESPONSE_VALUE, ''));
+      write(socket, encodePacket(ok ? pkt.id : -1, SERVERDATA_AUTH_RESPONSE, ''));
+      socket.authenticated = ok;
+      return;
+    }
+
+    if (!socket.authenticated) {
+      socket.destroy();
+      return;
+    }
+
+    if (pkt.type === SERVERDATA_EXECCOMMAND) {
+      received.push(pkt.body);
+      const body = await runCommand(options, pkt.body);
+      writeResponse(socket, pkt.id, body);
+      return;
+    }
+
+    if (pkt.type === SERVERDATA_RESPONSE_VALUE && mirrorSentinel) {
+      write(socket, encodePacket(pkt.id, SERVERDATA_RESPONSE_VALUE, ''));
+      write(socket, encodePacket(pkt.id, SERVERDATA_RESPONSE_VALUE, '\u0000\u0000\u0001\u0000'));
+    }
+  }
+
+  return {
+    received,
+
+    get port() {
+      const address = server.address();
+      return address ? address.port : null;
+    },
+
+    get connections() {
+      return sockets.size;
+    },
+
+    /**
+     * Start listening. Resolves with the bound port (random if omitted).
+     */
+    listen(port, host) {
+      return listenOn(server, port, host);
+    },
+
+    /**
+     * Send an unsolicited RESPONSE_VALUE (id 0) to every authenticated client.
+     */
+    push(body) {
+      for (const socket of sockets) {
+        if (socket.authenticated) writeResponse(socket, 0, body);
+      }
+    },
+
+    /**
+     * Drop every client connection, e.g. to simulate a server restart.
+     */
+    disconnectAll() {
+      for (const socket of sockets) socket.destroy();
+    },
+
+    /**
+     * Drop all clients and stop listening.
+     */
+    close() {
+      this.disconnectAll();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+/**
+ * Fake Rust WebRCON server speaking the JSON protocol over WebSocket.
+ * Clients connect to ws://host:port/<password>; a wrong password is refused with 401.
+ *
+ * Returns an object with methods: listen(port?), close(), push(message, type?), and
+ * properties: port, received (commands in arrival order), connections (open sockets).
+ */
+function createMockRustServer(options = {}) {
+  const password = options.password != null ? options.password : 'password';
+  const received = [];
+
+  const server = http.createServer((req, res) => {
+    res.writeHead(404);
+    res.end();
+  });
+
+  const wss = new WebSocketServer({
+    server,
+    verifyClient: (info, done) => {
+      const supplied = decodeURIComponent((info.req.url || '/').slice(1));
+      if (options.authFail || supplied !== password) return done(false, 401, 'Unauthorized');
+      done(true);
+    },
+  });
+
+  wss.on('connection', (ws) => {
+    ws.on('message', async (raw) => {
+      let msg;
+      try {
+        msg = JSON.parse(raw);
+      } catch {
+        return;
+      }
+
+      const command = String(msg.Message || '');
+      received.push(command);
+      const body = await runCommand(options, command);
+
+      if (ws.readyState === 1) {
+        ws.send(JSON.stringify({
+          Identifier: msg.Identifier,
+          Message: body,
+          Type: 'Generic',
+          Stacktrace: '',
+        }));
+      }
+    });
+  });
+
+  return {
+    received,
+
+    get port() {
+      const address = server.address();
+      return address ? address.port : null;
+    },
+
+    get connections() {
+      return wss.clients.size;
+    },
+
+    /**
+     * Start listening. Resolves with the bound port (random if omitted).
+     */
+    listen(port, host) {
+      return listenOn(server, port, host);
+    },
+
+    /**
+     * Push unsolicited console output (Identifier -1) to every client.
+     * Pass an object to send a raw payload, e.g. Rust's JSON chat messages.
+     */
+    push(message, type = 'Generic') {
+      const payload = JSON.stringify({
+        Identifier: -1,
+        Message: typeof message === 'string' ? message : JSON.stringify(message),
+        Type: type,
+        Stacktrace: '',
+      });
+      for (const ws of wss.clients) {
+        if (ws.readyState === 1) ws.send(payload);
+      }
+    },
+
+    /**
+     * Drop every client connection, e.g. to simulate a server restart.
+     */
+    disconnectAll() {
+      for (const ws of wss.clients) ws.terminate();
+    },
+
+    /**
+     * Drop all clients and stop listening.
+     */
+    close() {
+      this.disconnectAll();
+      return new Promise((resolve) => {
+        wss.close(() => server.close(() => resolve()));
+      });
+    },
+  };
+}
+
+module.exports = { createMockSourceServer, createMockRustServer };
@@ -0,0 +1,323 @@
+'use strict';
+
+const { formatDuration } = require('./duration');
+
+/**
+ * Formatters for clients that aren't htmx pages — CLIs, chat bots, scripts. Both
+ * have the methods the bridge calls on createFormatter(); a method returns the
+ * message to send, or null to send nothing.
+ *
+ * The bridge picks one per session from the negotiated output mode:
+ *   'html'  - createFormatter() markup (default)
+ *   'json'  - createJsonFormatter()
+ *   'text'  - createTextFormatter()
+ */
+
+const OUTPUT_MODES = ['html', 'json', 'text'];
+
+// WebSocket subprotocol -> output mode
+const SUBPROTOCOLS = {
+  'rcon-html': 'html',
+  'rcon-json': 'json',
+  'rcon-text': 'text',
+};
+
+function errorMessage(error) {
+  return error ? error.message || String(error) : null;
+}
+
+/**
+ * One JSON object per message:
+ *
+ *   { type: 'response', command: 'status', body: 'hostname: ...', serverType: null,
+ *     ts: '2026-10-19T12:00:00.000Z' }
+ *
+ * Every message has type, command, body, serverType and ts (null when they don't
+ * apply); some types add fields:
+ *
+ *   response         command, body, duration      duration: ms the command took
+ *   timeout          command, body (the partial output), partial, duration
+ *   response-start   id, command                  a streamed response opens...
+ *   response-chunk   id, body                     ...gets lines...
+ *   response-end     id, command, empty,          ...and ends; state is 'done', 'timeout'
+ *                    duration, state, error       or 'failed' (error is its message)
+ *   error, info      body
+ *   server           body, serverType             pushed console output ('Generic', 'Warning', ...)
+ *   event            body (the raw line), event   a parsed console event (lib/rust-console.js)
+ *   auth             body, success
+ *   reconnecting     body, attempt, delay
+ *   queue            depth, inFlight
+ *   servers          servers, selected
+ *   server-status    server, state
+ *   players          players
+ *   players-update   joined, left, changed
+ *   metrics          sample (the latest)
+ *   macro-start      id, macro
+ *   macro-step       id, step                     step.error is a message
+ *   macro-end        id, ok, error
+ *   history          command, offset, total
+ *   history-list     search, entries
+ */
+function createJsonFormatter() {
+  function message(type, fields = {}) {
+    return JSON.stringify({
+      type,
+      command: null,
+      body: null,
+      serverType: null,
+      ...fields,
+      ts: new Date().toISOString(),
+    });
+  }
+
+  return {
+    response(text, command, meta = {}) {
+      return message('response', { command, body: text, duration: meta.duration != null ? meta.duration : null });
+    },
+
+    timeout(command, partial, meta = {}) {
+      return message('timeout', {
+        command, body: partial || '', partial: Boolean(partial), duration: meta.duration != null ? meta.duration : null,
+      });
+    },
+
+    responseStart(command, blockId) {
+      return message('response-start', { id: blockId, command });
+    },
+
+    responseChunk(blockId, text) {
+      return message('response-chunk', { id: blockId, body: text });
+    },
+
+    responseEnd(blockId, empty, meta = {}) {
+      return message('response-end', {
+        id: blockId,
+        command: meta.command || null,
+        empty: Boolean(empty),
+        duration: meta.duration != null ? meta.duration : null,
+        state: meta.state || 'done',
+        error: meta.state === 'failed' ? meta.error || null : null,
+      });
+    },
+
+    macroStart(name, runId) {
+      return message('macro-start', { id: runId, macro: name });
+    },
+
+    macroStep(runId, step) {
+      const fields = { id: runId, step: { ...step, error: errorMessage(step.error) } };
+      if (step.type === 'command') {
+        fields.command = step.command;
+        fields.body = step.response;
+      }
+      return message('macro-step', fields);
+    },
+
+    macroEnd(runId, outcome) {
+      return message('macro-end', { id: runId, ok: outcome.ok, error: outcome.error || null });
+    },
+
+    error(text) {
+      return message('error', { body: text });
+    },
+
+    info(text) {
+      return message('info', { body: text });
+    },
+
+    serverMessage(text, type) {
+      return message('server', { body: text, serverType: type || null });
+    },
+
+    consoleEvent(event) {
+      return message('event', { body: event.raw || '', event });
+    },
+
+    auth(success, detail) {
+      const body = detail || (success ? 'Authenticated to RCON server.' : 'Authentication failed.');
+      return message('auth', { body, success });
+    },
+
+    queue(depth, inFlight) {
+      return message('queue', { depth, inFlight });
+    },
+
+    reconnecting(attempt, delay) {
+      const seconds = Math.max(1, Math.round(delay / 1000));
+      return message('reconnecting', { body: `Reconnecting in ${seconds}s (attempt ${attempt})...`, attempt, delay });
+    },
+
+    serverPicker(servers, selectedId) {
+      return message('servers', { servers, selected: selectedId || null });
+    },
+
+    serverStatus(id, state) {
+      return message('server-status', { server: id, state });
+    },
+
+    players(records) {
+      return message('players', { players: records });
+    },
+
+    playersUpdate(diff) {
+      return message('players-update', { joined: diff.joined, left: diff.left, changed: diff.changed });
+    },
+
+    // players-update already listed who left
+    playersRemove() {
+      return null;
+    },
+
+    metrics(samples) {
+      return message('metrics', { sample: samples[samples.length - 1] || null });
+    },
+
+    historyRecall(command, offset, total) {
+      return message('history', { command, offset, total });
+    },
+
+    // Arrow-key bindings are a page concern
+    historyNav() {
+      return null;
+    },
+
+    historyList(matches, search) {
+      return message('history-list', { search, entries: matches });
+    },
+  };
+}
+
+/**
+ * Plain text, one message per send: a command and its output, errors as
+ * "error: ...", pushed console lines as they came. Badges and indicators that
+ * only make sense on a page (queue depth, server status, metrics, arrow-key
+ * bindings) send nothing.
+ */
+function createTextFormatter() {
+  const output = (text) => (text && text.trim() ? text.replace(/\s+$/, '') : '(no output)');
+
+  return {
+    response(text, command) {
+      return `> ${command}\n${output(text)}`;
+    },
+
+    timeout(command, partial) {
+      return `> ${command}\n` +
+        (partial ? `${partial.replace(/\s+$/, '')}\nTimed out — output may be incomplete.` : 'Timed out — no response.');
+    },
+
+    responseStart(command) {
+      return `> ${command}`;
+    },
+
+    responseChunk(blockId, text) {
+      return text;
+    },
+
+    responseEnd(blockId, empty, meta = {}) {
+      if (meta.state === 'timeout') return empty ? 'Timed out — no response.' : 'Timed out — output may be incomplete.';
+      if (meta.state === 'failed') return `error: Command failed: ${meta.error || ''}`;
+      return empty ? '(no output)' : null;
+    },
+
+    macroStart(name) {
+      return `macro ${name}`;
+    },
+
+    macroStep(runId, step) {
+      if (step.type === 'command') {
+        const failed = step.error && !step.timedOut ? `\nerror: ${errorMessage(step.error)}` : '';
+        return `> ${step.command}\n${output(step.response)}${failed}`;
+      }
+      if (step.type === 'delay') return `wait ${step.ms ? formatDuration(step.ms) : '0s'}`;
+      if (step.type === 'branch') return step.matched ? 'condition matched' : 'condition not matched';
+      return step.message || null;
+    },
+
+    macroEnd(runId, outcome) {
+      return outcome.ok ? 'macro done' : `macro failed: ${outcome.error || ''}`;
+    },
+
+    error(text) {
+      return `error: ${text}`;
+    },
+
+    info(text) {
+      return text;
+    },
+
+    serverMessage(text) {
+      return text.replace(/\s+$/, '');
+    },
+
+    consoleEvent(event) {
+      return event.raw || null;
+    },
+
+    auth(success, detail) {
+      const text = detail || (success ? 'Authenticated to RCON server.' : 'Authentication failed.');
+      return success ? text : `error: ${text}`;
+    },
+
+    queue() {
+      return null;
+    },
+
+    reconnecting(attempt, delay) {
+      const seconds = Math.max(1, Math.round(delay / 1000));
+      return `Reconnecting in ${seconds}s (attempt ${attempt})...`;
+    },
+
+    serverPicker(servers, selectedId) {
+      return 'servers:\n' + servers
+        .map(({ id, label }) => `${id === selectedId ? '*' : ' '} ${id}${label && label !== id ? ` (${label})` : ''}`)
+        .join('\n');
+    },
+
+    serverStatus() {
+      return null;
+    },
+
+    players(records) {
+      if (!records.length) return 'players: none';
+      return `players (${records.length}):\n` +
+        records.map((p) => `  ${p.name}${p.ping != null ? ` (${p.ping} ms)` : ''}`).join('\n');
+    },
+
+    playersUpdate(diff) {
+      const out = [
+        ...diff.joined.map((p) => `joined: ${p.name}`),
+        ...diff.left.map((p) => `left: ${p.name}`),
+      ];
+      return out.length ? out.join('\n') : null;
+    },
+
+    playersRemove() {
+      return null;
+    },
+
+    metrics() {
+      return null;
+    },
+
+    historyRecall(command) {
+      return command || null;
+    },
+
+    historyNav() {
+      return null;
+    },
+
+    historyList(matches, search) {
+      if (!matches.length) return search ? '(no matches)' : '(no history)';
+      return matches.map((m) => `${m.offset}  ${m.command}`).join('\n');
+    },
+  };
+}
+
+module.exports = {
+  OUTPUT_MODES,
+  SUBPROTOCOLS,
+  createJsonFormatter,
+  createTextFormatter,
+};
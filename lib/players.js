@@ -0,0 +1,207 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+
+/**
+ * Player records parsed from a server's player list. Fields that the server
+ * doesn't report are null:
+ *
+ *   {
+ *     id: '76561198000000000',   // stable key: SteamID when known, else the name
+ *     name: 'bob',
+ *     steamId: '76561198000000000' | 'STEAM_1:0:12345',
+ *     ping: 45,                  // ms
+ *     connected: 312,            // seconds on the server
+ *     address: '203.0.113.7',
+ *   }
+ */
+
+// Source `status` player line, with or without the CS:GO slot column:
+//   #      2 "bob"  STEAM_1:0:12345  05:12  45  0 active 196608 203.0.113.7:27005
+//   # 2 1 "bob" STEAM_1:0:12345 1:05:12 45 0 active 786432 203.0.113.7:27005
+const SOURCE_PLAYER = /^#\s*\d+\s+(?:\d+\s+)?"(.*)"\s+(\S+)\s+(\d+(?::\d+){1,2})\s+(\d+)\s+\d+\s+\w+(?:\s+\d+)?(?:\s+(\S+))?/;
+
+/**
+ * Parse "mm:ss" or "hh:mm:ss" into seconds.
+ */
+function parseDuration(text) {
+  return text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+/**
+ * Strip the port from "ip:port" (IPv4) — other forms are returned as-is.
+ */
+function stripPort(address) {
+  if (!address) return null;
+  const m = /^(\d{1,3}(?:\.\d{1,3}){3}):\d+$/.exec(address);
+  return m ? m[1] : address;
+}
+
+/**
+ * Parse the output of `status` on a Source server. Bots and lines that aren't
+ * player rows are skipped.
+ */
+function parseSourceStatus(text) {
+  const players = [];
+
+  for (const line of String(text || '').split('\n')) {
+    const m = SOURCE_PLAYER.exec(line.trim());
+    if (!m || m[2] === 'BOT') continue;
+
+    players.push({
+      id: m[2],
+      name: m[1],
+      steamId: m[2],
+      ping: Number(m[4]),
+      connected: parseDuration(m[3]),
+      address: stripPort(m[5]),
+    });
+  }
+
+  return players;
+}
+
+/**
+ * Parse the JSON returned by `playerlist` on a Rust server.
+ */
+function parseRustPlayerList(text) {
+  let list;
+  try {
+    list = JSON.parse(text);
+  } catch {
+    throw new Error('rcon-htmx: playerlist did not return JSON');
+  }
+  if (!Array.isArray(list)) return [];
+
+  return list.map((p) => {
+    const steamId = p.SteamID != null ? String(p.SteamID) : null;
+    return {
+      id: steamId || p.DisplayName,
+      name: p.DisplayName || '',
+      steamId,
+      ping: p.Ping != null ? Number(p.Ping) : null,
+      connected: p.ConnectedSeconds != null ? Math.round(Number(p.ConnectedSeconds)) : null,
+      address: stripPort(p.Address),
+    };
+  });
+}
+
+/**
+ * Compare two player lists by id.
+ * Returns { joined, left, changed } — arrays of records ('left' holds the old records).
+ */
+function diffPlayers(before, after) {
+  const old = new Map(before.map((p) => [p.id, p]));
+  const now = new Map(after.map((p) => [p.id, p]));
+  const joined = [];
+  const changed = [];
+  const left = [];
+
+  for (const [id, p] of now) {
+    const prev = old.get(id);
+    if (!prev) {
+      joined.push(p);
+    } else if (prev.name !== p.name || prev.ping !== p.ping || prev.connected !== p.connected || prev.address !== p.address) {
+      changed.push(p);
+    }
+  }
+  for (const [id, p] of old) {
+    if (!now.has(id)) left.push(p);
+  }
+
+  return { joined, left, changed };
+}
+
+/**
+ * PlayerTracker polls a server's player list and reports what changed.
+ *
+ * Options:
+ *   exec      - function(command) => Promise of the response text (required)
+ *   command   - player list command, e.g. 'status' or 'playerlist' (required)
+ *   parse     - function(text) => player records (required)
+ *   interval  - ms between polls (default: 10000)
+ *
+ * Events:
+ *   'update' (players, diff)  - after a poll that changed the list (and after the first poll);
+ *                               diff is { joined, left, changed }
+ *   'poll-error' (err)        - a poll failed; the previous list is kept
+ */
+class PlayerTracker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.exec = options.exec;
+    this.command = options.command;
+    this.parse = options.parse;
+    this.interval = options.interval || 10000;
+
+    this._players = [];
+    this._polled = false;
+    this._timer = null;
+    this._polling = false;
+  }
+
+  /**
+   * Current player records (empty until the first successful poll).
+   */
+  get players() {
+    return this._players;
+  }
+
+  /**
+   * True once a poll has succeeded.
+   */
+  get polled() {
+    return this._polled;
+  }
+
+  get running() {
+    return this._timer !== null;
+  }
+
+  /**
+   * Poll now and then every `interval` ms. Does nothing if already running.
+   */
+  start() {
+    if (this._timer) return;
+    this._timer = setInterval(() => this.poll(), this.interval);
+    if (this._timer.unref) this._timer.unref();
+    this.poll();
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Run the player list command once. Overlapping polls are skipped.
+   */
+  async poll() {
+    if (this._polling) return;
+    this._polling = true;
+
+    try {
+      const players = this.parse(await this.exec(this.command));
+      const diff = diffPlayers(this._players, players);
+      const first = !this._polled;
+
+      this._players = players;
+      this._polled = true;
+
+      if (first || diff.joined.length || diff.left.length || diff.changed.length) {
+        this.emit('update', players, diff);
+      }
+    } catch (err) {
+      this.emit('poll-error', err);
+    } finally {
+      this._polling = false;
+    }
+  }
+}
+
+module.exports = {
+  PlayerTracker,
+  parseSourceStatus,
+  parseRustPlayerList,
+  diffPlayers,
+};
@@ -0,0 +1,244 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Role-based command authorization.
+ *
+ * Policy options:
+ *   roles        - map of role name -> { allow, deny, inherits }
+ *                    allow/deny  - arrays of rules; a rule is a glob string matched
+ *                                  against a whole command ('say *', 'oxide.*'), or a RegExp
+ *                    inherits    - role name (or array) whose rules are checked after this role's
+ *   resolveRole  - function(req, session) => role name (or Promise) for a browser session,
+ *                  given the HTTP upgrade request and { user } from the bridge's
+ *                  authenticate hook (default: always defaultRole)
+ *   defaultRole  - role used when resolveRole returns nothing (default: 'viewer')
+ *
+ * Deny rules win over allow rules, and a command that matches no allow rule is blocked.
+ * The Source console runs each part of a line split on ';' or a line break as its own
+ * command, so every part has to pass on its own: 'say hi; quit' needs 'quit' allowed too.
+ *
+ * @example
+ * createPolicy({
+ *   roles: {
+ *     viewer:    { allow: ['status', 'players', 'serverinfo'] },
+ *     moderator: { inherits: 'viewer', allow: ['say *', 'kick *', 'mute *'] },
+ *     admin:     { allow: ['*'], deny: ['quit', 'rcon_password *'] },
+ *   },
+ *   resolveRole: fromHeader('x-rcon-role'),
+ * });
+ */
+
+// Separators the Source console splits a command line on
+const COMMAND_SEPARATOR = /[;\r\n]/;
+
+/**
+ * Compile a glob ('*' any run of characters, '?' one character) into a RegExp.
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map((ch) => {
+      if (ch === '*') return '.*';
+      if (ch === '?') return '.';
+      return ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function compileRule(rule) {
+  if (rule instanceof RegExp) return { source: String(rule), test: (cmd) => rule.test(cmd) };
+  const re = globToRegExp(String(rule).trim().replace(/\s+/g, ' '));
+  return { source: String(rule), test: (cmd) => re.test(cmd) };
+}
+
+/**
+ * Create a policy engine.
+ *
+ * Returns an object with methods: check(role, command), resolveRole(req, session), and
+ * the configured role names in `roles`.
+ */
+function createPolicy(options = {}) {
+  const defaultRole = options.defaultRole || 'viewer';
+  const resolver = options.resolveRole || null;
+  const roles = new Map();
+
+  for (const [name, def] of Object.entries(options.roles || {})) {
+    roles.set(name, {
+      allow: (def.allow || []).map(compileRule),
+      deny: (def.deny || []).map(compileRule),
+      inherits: [].concat(def.inherits || []),
+    });
+  }
+
+  /**
+   * The role followed by everything it inherits, without repeats.
+   */
+  function chain(role, seen = new Set()) {
+    if (seen.has(role) || !roles.has(role)) return [];
+    seen.add(role);
+    const def = roles.get(role);
+    return [def, ...def.inherits.flatMap((parent) => chain(parent, seen))];
+  }
+
+  /**
+   * Check one command (no separators) against a role's rules.
+   */
+  function checkOne(defs, role, cmd) {
+    for (const def of defs) {
+      const rule = def.deny.find((r) => r.test(cmd));
+      if (rule) {
+        return { allowed: false, role, rule: rule.source, reason: `denied for role "${role}" by rule ${rule.source}` };
+      }
+    }
+
+    for (const def of defs) {
+      const rule = def.allow.find((r) => r.test(cmd));
+      if (rule) return { allowed: true, role, rule: rule.source, reason: null };
+    }
+
+    return { allowed: false, role, rule: null, reason: `not allowed for role "${role}"` };
+  }
+
+  return {
+    roles: [...roles.keys()],
+
+    /**
+     * Decide whether `role` may run `command`. A line of several commands is allowed
+     * only if each of them is.
+     * Returns { allowed, role, rule, reason } — `rule` is the matching rule, if any.
+     */
+    check(role, command) {
+      const defs = chain(role);
+
+      if (!defs.length) {
+        return { allowed: false, role, rule: null, reason: `unknown role "${role}"` };
+      }
+
+      const parts = String(command).split(COMMAND_SEPARATOR)
+        .map((part) => part.trim().replace(/\s+/g, ' '))
+        .filter(Boolean);
+      const chained = parts.length > 1;
+      let decision = { allowed: false, role, rule: null, reason: `not allowed for role "${role}"` };
+
+      for (const cmd of parts) {
+        decision = checkOne(defs, role, cmd);
+        if (!decision.allowed) {
+          if (chained) decision.reason += ` (in "${cmd}")`;
+          return decision;
+        }
+      }
+
+      return decision;
+    },
+
+    /**
+     * Resolve the role for a browser session from its upgrade request.
+     * Always returns a Promise.
+     */
+    async resolveRole(req, session) {
+      const role = resolver ? await resolver(req, session) : null;
+      return role || defaultRole;
+    },
+  };
+}
+
+// ── Role resolvers ────────────────────────────────────────────────────────────
+
+/**
+ * Parse the Cookie header of a request into a plain object.
+ */
+function parseCookies(req) {
+  const out = {};
+  const header = (req && req.headers && req.headers.cookie) || '';
+  for (const part of header.split(';')) {
+    const eq = part.indexOf('=');
+    if (eq === -1) continue;
+    const key = part.slice(0, eq).trim();
+    try {
+      out[key] = decodeURIComponent(part.slice(eq + 1).trim());
+    } catch {
+      out[key] = part.slice(eq + 1).trim();
+    }
+  }
+  return out;
+}
+
+/**
+ * Role from a request header, e.g. one set by an authenticating reverse proxy.
+ */
+function fromHeader(name) {
+  const key = name.toLowerCase();
+  return (req) => (req && req.headers && req.headers[key]) || null;
+}
+
+/**
+ * Role from a cookie. Only use this with a cookie the browser can't forge
+ * (e.g. one your own session layer signs and verifies).
+ */
+function fromCookie(name) {
+  return (req) => parseCookies(req)[name] || null;
+}
+
+/**
+ * Verify an HS256 JWT and return its payload, or null if invalid or expired.
+ */
+function verifyJwt(token, secret) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+  try {
+    const alg = JSON.parse(Buffer.from(header, 'base64url').toString('utf8')).alg;
+    if (alg !== 'HS256') return null;
+
+    const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (claims.exp && Date.now() / 1000 >= claims.exp) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Role from a claim of an HS256-signed JWT, read from the Authorization bearer
+ * header or a cookie.
+ *
+ * Options:
+ *   secret   - HMAC secret (required)
+ *   claim    - claim holding the role (default: 'role')
+ *   cookie   - cookie name to read the token from (default: Authorization header)
+ */
+function fromJwtClaim(options = {}) {
+  if (!options.secret) throw new Error('rcon-htmx: fromJwtClaim needs a "secret"');
+  const claim = options.claim || 'role';
+
+  return (req) => {
+    let token = null;
+    if (options.cookie) {
+      token = parseCookies(req)[options.cookie];
+    } else {
+      const auth = (req && req.headers && req.headers.authorization) || '';
+      if (auth.startsWith('Bearer ')) token = auth.slice(7);
+    }
+
+    const claims = token ? verifyJwt(token, options.secret) : null;
+    return claims ? claims[claim] || null : null;
+  };
+}
+
+module.exports = {
+  createPolicy,
+  fromHeader,
+  fromCookie,
+  fromJwtClaim,
+  verifyJwt,
+  parseCookies,
+  globToRegExp,
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * Shared RCON connection pool.
+ *
+ * Browser sessions that target the same server lease one authenticated client
+ * instead of each opening their own TCP/WebSocket session. Clients are
+ * ref-counted and destroyed when the last lease is released.
+ */
+
+/**
+ * Build the pool key for a target server.
+ */
+function poolKey(protocol, host, port, password) {
+  return `${protocol}:${host}:${port}:${password}`;
+}
+
+/**
+ * Create a connection pool.
+ *
+ * Returns an object with methods: acquire(key, createClient), size(), refs(key)
+ */
+function createPool() {
+  // key -> { client, refs, ready, settled }
+  const entries = new Map();
+
+  function connect(entry) {
+    entry.settled = false;
+    entry.ready = entry.client.connect();
+    entry.ready.then(
+      () => { entry.settled = true; },
+      () => { entry.settled = true; }
+    );
+    return entry.ready;
+  }
+
+  function dispose(key, entry) {
+    if (entries.get(key) === entry) entries.delete(key);
+    entry.client.destroy();
+  }
+
+  return {
+    /**
+     * Lease a client for the given key, creating and connecting it on first use.
+     *
+     * Returns { client, ready, release } — `ready` resolves once the shared client
+     * is authenticated, `release()` drops this lease (safe to call more than once).
+     */
+    acquire(key, createClient) {
+      let entry = entries.get(key);
+
+      if (!entry) {
+        const client = createClient();
+        // Every browser session adds its own listeners to a shared client
+        client.setMaxListeners(0);
+        entry = { client, refs: 0, ready: null, settled: false };
+        entries.set(key, entry);
+        connect(entry);
+
+        // A failed first connect leaves nothing worth sharing — let the next acquire retry
+        const failed = entry;
+        entry.ready.catch(() => {
+          if (entries.get(key) === failed && !failed.client.authenticated) entries.delete(key);
+        });
+      } else if (entry.settled && !entry.client.connected && !entry.client.reconnecting) {
+        // The shared client closed for good (no reconnect policy) — bring it back up
+        connect(entry);
+      }
+
+      entry.refs += 1;
+      const leased = entry;
+      let released = false;
+
+      return {
+        client: leased.client,
+        ready: leased.ready,
+        release() {
+          if (released) return;
+          released = true;
+          leased.refs -= 1;
+          if (leased.refs <= 0) dispose(key, leased);
+        },
+      };
+    },
+
+    /**
+     * Number of distinct servers with an open lease.
+     */
+    size() {
+      return entries.size;
+    },
+
+    /**
+     * Number of open leases for a key.
+     */
+    refs(key) {
+      const entry = entries.get(key);
+      return entry ? entry.refs : 0;
+    },
+  };
+}
+
+module.exports = { createPool, poolKey };
@@ -0,0 +1,92 @@
+'use strict';
+
+const { RconConnection } = require('./rcon');
+const { RconWebSocket } = require('./rcon-ws');
+const { RconMinecraft } = require('./rcon-minecraft');
+const { RconBattlEye } = require('./rcon-battleye');
+const { parseSourceStatus, parseRustPlayerList } = require('./players');
+const { parseSourceStats, parseRustServerInfo } = require('./metrics');
+
+/**
+ * Protocol registry — maps a protocol name to its client class and default port.
+ *
+ * A client class is constructed with { host, port, password, timeout, reconnect, ... }
+ * and must be an EventEmitter that provides:
+ *   connect()       - Promise that resolves once authenticated
+ *   exec(command)   - Promise of the response text
+ *   destroy()       - close the connection
+ *   connected       - getter, true while commands can be sent
+ *   reconnecting    - getter (optional), true while a reconnect is in progress
+ *
+ * and emits 'error', 'close' and, for servers that push console output,
+ * 'server-message' (body, type, event) — `event` is an optional parsed console event
+ * the bridge renders with formatter.consoleEvent().
+ */
+
+const protocols = new Map();
+
+/**
+ * Register (or replace) a protocol.
+ *
+ * @param {string} name
+ * @param {Object} definition
+ * @param {Function} definition.Client      - client class (see above)
+ * @param {number}   definition.defaultPort - port used when none is configured
+ * @param {Object}  [definition.players]    - player list support: { command, parse(text) => records }
+ *                                            (see lib/players.js)
+ * @param {Object}  [definition.metrics]    - metrics support: { command, parse(text) => { fps, players, entities, memory } }
+ *                                            (see lib/metrics.js)
+ * @param {string[]} [definition.colors]    - colour codes the server's output uses: any of 'ansi',
+ *                                            'unity', 'minecraft' (see renderColors() in lib/formatter.js)
+ */
+function registerProtocol(name, definition = {}) {
+  if (!name || typeof name !== 'string') {
+    throw new Error('rcon-htmx: protocol name must be a non-empty string');
+  }
+
+  const { Client, defaultPort, players = null, metrics = null, colors = [] } = definition;
+  if (typeof Client !== 'function') {
+    throw new Error(`rcon-htmx: protocol "${name}" needs a Client class`);
+  }
+
+  protocols.set(name, { name, Client, defaultPort, players, metrics, colors });
+}
+
+/**
+ * Look up a registered protocol. Throws for unknown names.
+ */
+function getProtocol(name) {
+  const protocol = protocols.get(name);
+  if (!protocol) {
+    const known = [...protocols.keys()].map((n) => `"${n}"`).join(', ');
+    throw new Error(`rcon-htmx: unknown protocol "${name}" (registered: ${known})`);
+  }
+  return protocol;
+}
+
+/**
+ * Names of all registered protocols.
+ */
+function listProtocols() {
+  return [...protocols.keys()];
+}
+
+// Built-in protocols go through the same mechanism as user-registered ones
+registerProtocol('source', {
+  Client: RconConnection,
+  defaultPort: 27015,
+  players: { command: 'status', parse: parseSourceStatus },
+  metrics: { command: 'stats', parse: parseSourceStats },
+  colors: ['ansi'],
+});
+registerProtocol('minecraft', { Client: RconMinecraft, defaultPort: 25575, colors: ['minecraft'] });
+registerProtocol('rust', {
+  Client: RconWebSocket,
+  defaultPort: 28016,
+  players: { command: 'playerlist', parse: parseRustPlayerList },
+  metrics: { command: 'serverinfo', parse: parseRustServerInfo },
+  colors: ['ansi', 'unity'],
+});
+registerProtocol('battleye', { Client: RconBattlEye, defaultPort: 2306 });
+
+module.exports = { registerProtocol, getProtocol, listProtocols };
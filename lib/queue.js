@@ -0,0 +1,137 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+
+/**
+ * CommandQueue throttles commands sent over one RCON connection.
+ *
+ * Options:
+ *   maxInFlight  - commands awaiting a response at once (default: Infinity)
+ *   minSpacing   - minimum ms between two sends (default: 0)
+ *   maxQueued    - commands allowed to wait before push() rejects (default: Infinity)
+ *
+ * Events:
+ *   'change' (depth, inFlight) - the number of waiting or in-flight commands changed
+ */
+class CommandQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.maxInFlight = options.maxInFlight || Infinity;
+    this.minSpacing = options.minSpacing || 0;
+    this.maxQueued = options.maxQueued || Infinity;
+
+    this._waiting = [];
+    this._inFlight = 0;
+    this._lastSent = 0;
+    this._timer = null;
+  }
+
+  /**
+   * Commands waiting to be sent.
+   */
+  get depth() {
+    return this._waiting.length;
+  }
+
+  /**
+   * Commands sent and awaiting a response.
+   */
+  get inFlight() {
+    return this._inFlight;
+  }
+
+  /**
+   * Queue a task — typically `() => rcon.exec(command)`.
+   * Returns a Promise that settles with the task's result.
+   */
+  push(task) {
+    return new Promise((resolve, reject) => {
+      if (this._waiting.length >= this.maxQueued) {
+        return reject(new Error('Command queue is full'));
+      }
+
+      this._waiting.push({ task, resolve, reject });
+      this._changed();
+      this._drain();
+    });
+  }
+
+  /**
+   * Reject every waiting command (in-flight ones still settle).
+   */
+  clear(err = new Error('Command queue cleared')) {
+    clearTimeout(this._timer);
+    this._timer = null;
+
+    const waiting = this._waiting;
+    this._waiting = [];
+    for (const job of waiting) job.reject(err);
+    if (waiting.length) this._changed();
+  }
+
+  // ── Internal ──────────────────────────────────────────────────────────────
+
+  _changed() {
+    this.emit('change', this._waiting.length, this._inFlight);
+  }
+
+  _drain() {
+    if (this._timer) return;
+
+    while (this._waiting.length && this._inFlight < this.maxInFlight) {
+      const wait = this._lastSent + this.minSpacing - Date.now();
+      if (wait > 0) {
+        this._timer = setTimeout(() => {
+          this._timer = null;
+          this._drain();
+        }, wait);
+        return;
+      }
+
+      const job = this._waiting.shift();
+      this._inFlight += 1;
+      this._lastSent = Date.now();
+      this._changed();
+
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .then(() => {
+          this._inFlight -= 1;
+          this._changed();
+          this._drain();
+        });
+    }
+  }
+}
+
+/**
+ * Create a token bucket for per-browser rate limiting.
+ *
+ * Options:
+ *   burst      - bucket size, i.e. commands allowed back to back (default: 5)
+ *   perSecond  - tokens refilled per second (default: 1)
+ *
+ * Returns an object with a take() method that spends a token and returns false if empty.
+ */
+function createTokenBucket(options = {}) {
+  const burst = options.burst || 5;
+  const perSecond = options.perSecond || 1;
+
+  let tokens = burst;
+  let last = Date.now();
+
+  return {
+    take() {
+      const now = Date.now();
+      tokens = Math.min(burst, tokens + ((now - last) / 1000) * perSecond);
+      last = now;
+
+      if (tokens < 1) return false;
+      tokens -= 1;
+      return true;
+    },
+  };
+}
+
+module.exports = { CommandQueue, createTokenBucket };
@@ -0,0 +1,372 @@
+'use strict';
+
+const dgram = require('dgram');
+const { EventEmitter } = require('events');
+const { normalizeReconnect, createReconnector } = require('./reconnect');
+const { RconTimeoutError } = require('./errors');
+
+// BattlEye RCon packet types
+const BE_LOGIN = 0x00;
+const BE_COMMAND = 0x01;
+const BE_SERVER_MESSAGE = 0x02;
+
+// The server drops clients it hasn't heard from in 45s
+const DEFAULT_KEEP_ALIVE = 30000;
+
+const CRC_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c;
+  }
+  return table;
+})();
+
+/**
+ * Standard CRC32 (as used by zlib) of a Buffer.
+ */
+function crc32(buf) {
+  let crc = -1;
+  for (let i = 0; i < buf.length; i++) {
+    crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Encode a BattlEye RCon packet into a Buffer.
+ *
+ * Packet layout:
+ *   'B' 'E'           header
+ *   uint32 LE crc32   of everything after this field
+ *   0xFF              payload start
+ *   byte   type       0x00 login, 0x01 command, 0x02 server message
+ *   ...    payload    (sequence byte + body for commands and acks)
+ */
+function encodeBePacket(type, payload) {
+  const body = Buffer.concat([Buffer.from([0xff, type]), payload || Buffer.alloc(0)]);
+  const packet = Buffer.alloc(6 + body.length);
+
+  packet.write('BE', 0, 'ascii');
+  packet.writeUInt32LE(crc32(body), 2);
+  body.copy(packet, 6);
+
+  return packet;
+}
+
+/**
+ * Decode a BattlEye RCon packet.
+ * Returns { type, payload } or null if the header or checksum is invalid.
+ */
+function decodeBePacket(buf) {
+  if (buf.length < 8 || buf[0] !== 0x42 || buf[1] !== 0x45 || buf[6] !== 0xff) return null;
+
+  const body = buf.slice(6);
+  if (buf.readUInt32LE(2) !== crc32(body)) return null;
+
+  return { type: buf[7], payload: buf.slice(8) };
+}
+
+/**
+ * RconBattlEye manages a UDP session with a BattlEye RCon server (Arma 2/3, DayZ).
+ *
+ * BattlEye RCon protocol:
+ *   Login:     0x00 password          -> 0x00 0x01 (ok) | 0x00 0x00 (bad password)
+ *   Command:   0x01 seq command       -> 0x01 seq response
+ *              multi-part responses:     0x01 seq 0x00 count index part
+ *   Server:    0x02 seq message       <- must be acknowledged with 0x02 seq
+ *
+ * An empty command is sent every `keepAlive` ms so the server keeps the session.
+ * UDP has no close — the session counts as lost when nothing arrives for `idleTimeout` ms.
+ *
+ * Events:
+ *   'authenticated'           - login accepted
+ *   'auth-failed'             - login rejected (bad password)
+ *   'response' (seq, body)    - command response received
+ *   'server-message' (body, type) - server-pushed chat, join/leave and log lines
+ *   'error' (err)             - socket error
+ *   'close'                   - session lost or destroyed
+ *
+ * With the `reconnect` option set, a lost session is followed by
+ * 'reconnecting', 'reconnected' and 'reconnect-failed' like RconWebSocket.
+ */
+class RconBattlEye extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 2306;
+    this.password = options.password || '';
+    this.timeout = options.timeout || 5000;
+    this.keepAlive = options.keepAlive || DEFAULT_KEEP_ALIVE;
+    this.idleTimeout = options.idleTimeout || this.keepAlive * 2;
+    this.reconnect = normalizeReconnect(options.reconnect);
+
+    this._socket = null;
+    this._seq = -1;
+    this._authenticated = false;
+    this._pendingLogin = null;
+    this._keepAliveTimer = null;
+    this._lastReceived = 0;
+
+    // Pending commands: seq -> { parts, received, timer, resolve, reject }
+    this._pending = new Map();
+    // Server-message sequence numbers already seen (the server resends until acked)
+    this._lastServerSeq = -1;
+
+    this._closed = false;
+    this._reconnector = this.reconnect ? createReconnector(this, this.reconnect) : null;
+  }
+
+  get connected() {
+    return this._socket !== null && this._authenticated;
+  }
+
+  get authenticated() {
+    return this._authenticated;
+  }
+
+  get reconnecting() {
+    return this._reconnector !== null && this._reconnector.active;
+  }
+
+  /**
+   * Open the UDP socket and log in.
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      if (this.connected) return resolve();
+
+      this._closed = false;
+      this._teardown();
+
+      const socket = dgram.createSocket('udp4');
+      this._socket = socket;
+
+      const timer = setTimeout(() => {
+        this._pendingLogin = null;
+        this._teardown();
+        reject(new Error(`Connection timed out: ${this.host}:${this.port}`));
+      }, this.timeout);
+
+      this._pendingLogin = { resolve, reject, timer };
+
+      socket.on('message', (msg) => this._onMessage(msg));
+
+      socket.on('error', (err) => {
+        // Failed reconnect attempts are reported through 'reconnecting' instead
+        if (!this.reconnecting) this.emit('error', err);
+        if (this._pendingLogin) {
+          clearTimeout(this._pendingLogin.timer);
+          this._pendingLogin.reject(err);
+          this._pendingLogin = null;
+          this._teardown();
+        }
+      });
+
+      socket.connect(this.port, this.host, () => {
+        this._send(BE_LOGIN, Buffer.from(this.password, 'utf8'));
+      });
+    });
+  }
+
+  /**
+   * Execute an RCON command and return the response text.
+   * Multi-part responses are reassembled before resolving.
+   * Rejects with RconTimeoutError (carrying the parts received so far, in order)
+   * if the response doesn't complete within `timeout`.
+   */
+  exec(command) {
+    return new Promise((resolve, reject) => {
+      if (!this.connected) {
+        return reject(new Error('Not connected'));
+      }
+
+      if (this._pending.size >= 256) {
+        return reject(new Error('Too many commands in flight'));
+      }
+
+      const seq = this._nextSeq();
+
+      const timer = setTimeout(() => {
+        if (this._pending.get(seq) === entry) {
+          this._pending.delete(seq);
+          const partial = entry.parts ? Buffer.concat(entry.parts.filter(Boolean)).toString('utf8') : '';
+          reject(new RconTimeoutError(command, partial, this.timeout));
+        }
+      }, this.timeout);
+
+      const entry = { parts: null, received: 0, timer, resolve, reject };
+      this._pending.set(seq, entry);
+
+      this._send(BE_COMMAND, Buffer.concat([Buffer.from([seq]), Buffer.from(command, 'utf8')]));
+    });
+  }
+
+  /**
+   * End the session. Also cancels any pending reconnect.
+   */
+  destroy() {
+    this._closed = true;
+    if (this._reconnector) this._reconnector.cancel();
+    const wasAuthed = this._authenticated;
+    this._teardown();
+    if (wasAuthed) this.emit('close');
+  }
+
+  // ── Internal ──────────────────────────────────────────────────────────────
+
+  _nextSeq() {
+    // Skip sequence numbers still owned by an in-flight command
+    do {
+      this._seq = (this._seq + 1) & 0xff;
+    } while (this._pending.has(this._seq));
+    return this._seq;
+  }
+
+  _send(type, payload) {
+    if (this._socket) {
+      this._socket.send(encodeBePacket(type, payload));
+    }
+  }
+
+  _teardown() {
+    clearInterval(this._keepAliveTimer);
+    this._keepAliveTimer = null;
+
+    if (this._socket) {
+      this._socket.removeAllListeners('message');
+      try {
+        this._socket.close();
+      } catch {
+        // already closed
+      }
+      this._socket = null;
+    }
+    this._authenticated = false;
+    this._lastServerSeq = -1;
+
+    for (const [, entry] of this._pending) {
+      clearTimeout(entry.timer);
+      entry.reject(new Error('Connection closed'));
+    }
+    this._pending.clear();
+  }
+
+  /**
+   * Called when the server has gone quiet for longer than idleTimeout.
+   */
+  _lost() {
+    this._teardown();
+    this.emit('close');
+
+    if (!this._closed && this._reconnector) {
+      this._reconnector.schedule();
+    }
+  }
+
+  _startKeepAlive() {
+    this._lastReceived = Date.now();
+    this._keepAliveTimer = setInterval(() => {
+      if (Date.now() - this._lastReceived > this.idleTimeout) {
+        this._lost();
+        return;
+      }
+      // An empty command packet keeps the session alive
+      this._send(BE_COMMAND, Buffer.from([this._nextSeq()]));
+    }, this.keepAlive);
+    if (this._keepAliveTimer.unref) this._keepAliveTimer.unref();
+  }
+
+  _onMessage(msg) {
+    const pkt = decodeBePacket(msg);
+    if (!pkt) return;
+
+    this._lastReceived = Date.now();
+
+    if (pkt.type === BE_LOGIN) {
+      this._handleLogin(pkt.payload[0] === 0x01);
+      return;
+    }
+
+    if (pkt.type === BE_SERVER_MESSAGE) {
+      const seq = pkt.payload[0];
+      this._send(BE_SERVER_MESSAGE, Buffer.from([seq]));
+
+      // The server resends unacknowledged messages — don't emit duplicates
+      if (seq === this._lastServerSeq) return;
+      this._lastServerSeq = seq;
+
+      this.emit('server-message', pkt.payload.slice(1).toString('utf8'), 'Generic');
+      return;
+    }
+
+    if (pkt.type === BE_COMMAND) {
+      this._handleCommandResponse(pkt.payload);
+    }
+  }
+
+  _handleLogin(ok) {
+    const login = this._pendingLogin;
+    if (!login) return;
+
+    clearTimeout(login.timer);
+    this._pendingLogin = null;
+
+    if (!ok) {
+      if (!this.reconnecting) this.emit('auth-failed');
+      this._teardown();
+      login.reject(new Error('RCON authentication failed — bad password'));
+      return;
+    }
+
+    this._authenticated = true;
+    this._startKeepAlive();
+    this.emit('authenticated');
+    login.resolve();
+  }
+
+  _handleCommandResponse(payload) {
+    const seq = payload[0];
+    const entry = this._pending.get(seq);
+    // Keep-alive acks and late responses land here
+    if (!entry) return;
+
+    // Multi-part: 0x00 count index part
+    if (payload.length >= 4 && payload[1] === 0x00) {
+      const count = payload[2];
+      const index = payload[3];
+
+      if (!entry.parts) entry.parts = new Array(count).fill(null);
+      if (index < count && entry.parts[index] === null) {
+        entry.parts[index] = payload.slice(4);
+        entry.received += 1;
+      }
+      if (entry.received < count) return;
+
+      this._complete(seq, entry, Buffer.concat(entry.parts).toString('utf8'));
+      return;
+    }
+
+    this._complete(seq, entry, payload.slice(1).toString('utf8'));
+  }
+
+  _complete(seq, entry, body) {
+    clearTimeout(entry.timer);
+    this._pending.delete(seq);
+    this.emit('response', seq, body);
+    entry.resolve(body);
+  }
+}
+
+module.exports = {
+  RconBattlEye,
+  encodeBePacket,
+  decodeBePacket,
+  crc32,
+  BE_LOGIN,
+  BE_COMMAND,
+  BE_SERVER_MESSAGE,
+};
@@ -0,0 +1,121 @@
+'use strict';
+
+const {
+  RconConnection,
+  encodePacket,
+  SERVERDATA_EXECCOMMAND,
+  SERVERDATA_RESPONSE_VALUE,
+} = require('./rcon');
+const { RconTimeoutError } = require('./errors');
+
+// Minecraft rejects (and may disconnect on) request bodies above this many bytes
+const MAX_REQUEST_BODY = 1446;
+
+// Responses are fragmented into packets carrying at most this many body bytes
+const MAX_RESPONSE_FRAGMENT = 4096;
+
+// Packet framing around the body: id + type + two null terminators
+const PACKET_OVERHEAD = 4 + 4 + 1 + 1;
+
+/**
+ * RconMinecraft manages a TCP connection to a Minecraft RCON server.
+ *
+ * Minecraft speaks the Source RCON packet format with a few differences:
+ *   - Default port is 25575.
+ *   - Request bodies are limited to 1446 bytes.
+ *   - Responses are split into 4096-byte fragments, and the server does not mirror
+ *     the empty RESPONSE_VALUE sentinel, so the end of a response can't be marked.
+ *     Commands are therefore sent one at a time, and a response ends with the first
+ *     fragment shorter than 4096 bytes (or after `fragmentWait` ms of silence
+ *     following a full-size fragment).
+ *   - A bad password gets an AUTH_RESPONSE with id -1 and no preceding empty packet.
+ *
+ * Options are the same as RconConnection, plus:
+ *   fragmentWait - ms to wait for another fragment after a full 4096-byte one (default: 100)
+ *
+ * Events are the same as RconConnection.
+ */
+class RconMinecraft extends RconConnection {
+  constructor(options = {}) {
+    super({ ...options, port: options.port || 25575 });
+    this.fragmentWait = options.fragmentWait || 100;
+
+    // Commands are strictly serialized — see class comment
+    this._queue = Promise.resolve();
+  }
+
+  // ── Internal ──────────────────────────────────────────────────────────────
+
+  /**
+   * Queue a command — exec() and execStream() both come through here, so they
+   * share the one-at-a-time ordering.
+   */
+  _request(command, onChunk) {
+    if (Buffer.byteLength(command, 'utf8') > MAX_REQUEST_BODY) {
+      return Promise.reject(new Error(`Command too long — Minecraft RCON accepts at most ${MAX_REQUEST_BODY} bytes`));
+    }
+
+    const run = this._queue.then(() => this._execOne(command, onChunk));
+    // Keep the queue going whether this command succeeds or not
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  _execOne(command, onChunk) {
+    return new Promise((resolve, reject) => {
+      if (!this._authenticated) {
+        return reject(new Error('Not authenticated'));
+      }
+
+      const id = this._nextId();
+
+      const timer = setTimeout(() => {
+        if (this._pending.get(id) === entry) {
+          this._finish(id);
+          reject(new RconTimeoutError(command, entry.body, this.timeout));
+        }
+      }, this.timeout);
+
+      const entry = { body: '', sentinelId: null, timer, fragmentTimer: null, onChunk, resolve, reject };
+      this._pending.set(id, entry);
+
+      this._sendRaw(encodePacket(id, SERVERDATA_EXECCOMMAND, command));
+    });
+  }
+
+  _finish(id) {
+    const entry = this._settle(id);
+    if (entry) clearTimeout(entry.fragmentTimer);
+    return entry;
+  }
+
+  _handlePacket(pkt) {
+    if (this._pendingAuth) {
+      super._handlePacket(pkt);
+      return;
+    }
+
+    if (pkt.type !== SERVERDATA_RESPONSE_VALUE || !this._pending.has(pkt.id)) return;
+
+    const id = pkt.id;
+    const entry = this._pending.get(id);
+    entry.body += pkt.body;
+    if (entry.onChunk && pkt.body) entry.onChunk(pkt.body);
+    clearTimeout(entry.fragmentTimer);
+
+    const complete = () => {
+      if (this._pending.get(id) !== entry) return;
+      this._finish(id);
+      this.emit('response', id, entry.body);
+      entry.resolve(entry.body);
+    };
+
+    if (pkt.totalLength - 4 - PACKET_OVERHEAD < MAX_RESPONSE_FRAGMENT) {
+      complete();
+    } else {
+      entry.fragmentTimer = setTimeout(complete, this.fragmentWait);
+    }
+  }
+}
+
+module.exports = { RconMinecraft, MAX_REQUEST_BODY, MAX_RESPONSE_FRAGMENT };
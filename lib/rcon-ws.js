@@ -2,6 +2,9 @@
 
 const WebSocket = require('ws');
 const { EventEmitter } = require('events');
+const { normalizeReconnect, createReconnector } = require('./reconnect');
+const { RconTimeoutError } = require('./errors');
+const { parseRustMessage } = require('./rust-console');
 
 /**
  * RconWebSocket manages a WebSocket connection to a Rust RCON server.
@@ -11,15 +14,24 @@ const { EventEmitter } = require('events');
  *   Send:     { "Identifier": int, "Message": "command", "Name": "rcon-htmx" }
  *   Receive:  { "Identifier": int, "Message": "text", "Type": "Generic"|"Warning"|"Error", "Stacktrace": "" }
  *
- * Server also pushes unsolicited console output (Identifier: -1).
+ * Server also pushes unsolicited console output (Identifier: -1). Known lines — chat,
+ * joins/leaves, kills, plugin loads, saves and errors — are parsed into typed events
+ * (see lib/rust-console.js) unless `parseMessages` is false.
  *
  * Events:
  *   'authenticated'           - WebSocket connected (Rust auth is implicit in the URL)
  *   'auth-failed' (err)       - Connection failed (bad password returns 401 or closes)
  *   'response' (id, body)     - Command response received
- *   'server-message' (body, type) - Unsolicited server console output
+ *   'server-message' (body, type, event) - Unsolicited server console output; `event` is
+ *                             the parsed console event, or null
+ *   'console-event' (event)   - A console line parsed into a typed event
  *   'error' (err)             - Connection error
  *   'close'                   - Connection closed
+ *
+ * With the `reconnect` option set, an unexpected close is followed by:
+ *   'reconnecting' (attempt, delay, lastError) - a reconnect attempt is scheduled
+ *   'reconnected' (attempts)                   - WebSocket re-opened with the stored password
+ *   'reconnect-failed' (lastError)             - gave up after maxAttempts
  */
 class RconWebSocket extends EventEmitter {
   constructor(options = {}) {
@@ -28,11 +40,16 @@ class RconWebSocket extends EventEmitter {
     this.port = options.port || 28016;
     this.password = options.password || '';
     this.timeout = options.timeout || 5000;
+    this.reconnect = normalizeReconnect(options.reconnect);
+    this.parseMessages = options.parseMessages !== false;
 
     this._ws = null;
     this._requestId = 0;
     this._authenticated = false;
     this._pending = new Map();
+
+    this._closed = false;
+    this._reconnector = this.reconnect ? createReconnector(this, this.reconnect) : null;
   }
 
   get connected() {
@@ -43,6 +60,10 @@ class RconWebSocket extends EventEmitter {
     return this._authenticated;
   }
 
+  get reconnecting() {
+    return this._reconnector !== null && this._reconnector.active;
+  }
+
   /**
    * Connect to the Rust RCON server.
    * Auth is implicit — the password is part of the WebSocket URL.
@@ -51,6 +72,8 @@ class RconWebSocket extends EventEmitter {
     return new Promise((resolve, reject) => {
       if (this.connected) return resolve();
 
+      this._closed = false;
+
       const url = `ws://${this.host}:${this.port}/${this.password}`;
 
       const timer = setTimeout(() => {
@@ -58,16 +81,17 @@ class RconWebSocket extends EventEmitter {
         reject(new Error(`Connection timed out: ${this.host}:${this.port}`));
       }, this.timeout);
 
-      this._ws = new WebSocket(url);
+      const ws = new WebSocket(url);
+      this._ws = ws;
 
-      this._ws.on('open', () => {
+      ws.on('open', () => {
         clearTimeout(timer);
         this._authenticated = true;
         this.emit('authenticated');
         resolve();
       });
 
-      this._ws.on('message', (raw) => {
+      ws.on('message', (raw) => {
         try {
           const msg = JSON.parse(raw);
           this._handleMessage(msg);
@@ -76,39 +100,46 @@ class RconWebSocket extends EventEmitter {
         }
       });
 
-      this._ws.on('error', (err) => {
+      ws.on('error', (err) => {
         clearTimeout(timer);
-        this.emit('error', err);
+        // Failed reconnect attempts are reported through 'reconnecting' instead
+        if (!this.reconnecting) this.emit('error', err);
         if (!this._authenticated) {
           reject(err);
         }
       });
 
-      this._ws.on('close', (code) => {
+      ws.on('close', (code) => {
         clearTimeout(timer);
         const wasAuthed = this._authenticated;
         this._authenticated = false;
-        this._ws = null;
+        if (this._ws === ws) this._ws = null;
+
+        // Reject any pending commands
+        for (const [, entry] of this._pending) {
+          entry.reject(new Error('Connection closed'));
+        }
+        this._pending.clear();
 
         if (!wasAuthed) {
           // Connection closed before we authenticated — likely bad password
-          this.emit('auth-failed');
+          if (!this.reconnecting && !this._closed) this.emit('auth-failed');
           reject(new Error(`RCON connection rejected (code ${code}) — check password`));
-        } else {
-          this.emit('close');
+          return;
         }
 
-        // Reject any pending commands
-        for (const [id, entry] of this._pending) {
-          entry.reject(new Error('Connection closed'));
+        this.emit('close');
+
+        if (!this._closed && this._reconnector) {
+          this._reconnector.schedule();
         }
-        this._pending.clear();
       });
     });
   }
 
   /**
    * Execute an RCON command and return the response text.
+   * Rejects with RconTimeoutError if no response arrives within `timeout`.
    */
   exec(command) {
     return new Promise((resolve, reject) => {
@@ -132,16 +163,18 @@ class RconWebSocket extends EventEmitter {
       setTimeout(() => {
         if (this._pending.has(id)) {
           this._pending.delete(id);
-          resolve('(no response — timed out)');
+          reject(new RconTimeoutError(command, '', this.timeout));
         }
       }, this.timeout);
     });
   }
 
   /**
-   * Disconnect from the server.
+   * Disconnect from the server. Also cancels any pending reconnect.
    */
   destroy() {
+    this._closed = true;
+    if (this._reconnector) this._reconnector.cancel();
     if (this._ws) {
       this._ws.terminate();
       this._ws = null;
@@ -164,7 +197,7 @@ class RconWebSocket extends EventEmitter {
 
     // Unsolicited server console output (chat, logs, etc.)
     if (id === -1 || id === 0) {
-      this.emit('server-message', body, type);
+      this._serverMessage(body, type);
       return;
     }
 
@@ -178,7 +211,13 @@ class RconWebSocket extends EventEmitter {
     }
 
     // Unknown identifier — still emit it
-    this.emit('server-message', body, type);
+    this._serverMessage(body, type);
+  }
+
+  _serverMessage(body, type) {
+    const event = this.parseMessages ? parseRustMessage(body, type) : null;
+    this.emit('server-message', body, type, event);
+    if (event) this.emit('console-event', event);
   }
 }
 
@@ -2,6 +2,9 @@
 
 const net = require('net');
 const { EventEmitter } = require('events');
+const { Readable } = require('stream');
+const { normalizeReconnect, createReconnector } = require('./reconnect');
+const { RconTimeoutError } = require('./errors');
 
 // Source RCON packet types
 const SERVERDATA_AUTH = 3;
@@ -9,8 +12,8 @@ const SERVERDATA_AUTH_RESPONSE = 2;
 const SERVERDATA_EXECCOMMAND = 2;
 const SERVERDATA_RESPONSE_VALUE = 0;
 
-// Sentinel request ID used to detect multi-packet response boundaries
-const SENTINEL_ID = 9999;
+// Request IDs cycle through 1..MAX_REQUEST_ID (0 is used for auth, -1 means auth failure)
+const MAX_REQUEST_ID = 0x7fffffff;
 
 /**
  * Encode a Source RCON packet into a Buffer.
@@ -69,6 +72,11 @@ function decodePacket(buf) {
  *   'response' (id, body) - command response received
  *   'error' (err)        - socket or protocol error
  *   'close'              - connection closed
+ *
+ * With the `reconnect` option set, an unexpected close is followed by:
+ *   'reconnecting' (attempt, delay, lastError) - a reconnect attempt is scheduled
+ *   'reconnected' (attempts)                   - re-authenticated with the stored password
+ *   'reconnect-failed' (lastError)             - gave up after maxAttempts
  */
 class RconConnection extends EventEmitter {
   constructor(options = {}) {
@@ -77,6 +85,7 @@ class RconConnection extends EventEmitter {
     this.port = options.port || 27015;
     this.password = options.password || '';
     this.timeout = options.timeout || 5000;
+    this.reconnect = normalizeReconnect(options.reconnect);
 
     this._socket = null;
     this._recvBuf = Buffer.alloc(0);
@@ -84,8 +93,13 @@ class RconConnection extends EventEmitter {
     this._authenticated = false;
     this._pendingAuth = null;
 
-    // Track multi-packet responses: requestId -> { body, sentinelSeen }
+    // Track multi-packet responses: requestId -> { body, sentinelId, timer, resolve, reject }
     this._pending = new Map();
+    // Each command gets its own sentinel: sentinelId -> requestId
+    this._sentinels = new Map();
+
+    this._closed = false;
+    this._reconnector = this.reconnect ? createReconnector(this, this.reconnect) : null;
   }
 
   get connected() {
@@ -96,6 +110,10 @@ class RconConnection extends EventEmitter {
     return this._authenticated;
   }
 
+  get reconnecting() {
+    return this._reconnector !== null && this._reconnector.active;
+  }
+
   /**
    * Connect to the RCON server and authenticate.
    * Returns a Promise that resolves on successful auth, rejects on failure.
@@ -106,32 +124,61 @@ class RconConnection extends EventEmitter {
         return resolve();
       }
 
+      this._closed = false;
+      // Bytes left over from a previous socket would misframe this one's packets
+      this._recvBuf = Buffer.alloc(0);
+
       const timer = setTimeout(() => {
-        this.destroy();
+        this._teardown();
         reject(new Error(`Connection timed out: ${this.host}:${this.port}`));
       }, this.timeout);
 
-      this._socket = net.createConnection(this.port, this.host, () => {
+      const socket = net.createConnection(this.port, this.host, () => {
         // Connected — send auth packet
         this._pendingAuth = { resolve, reject, timer };
         this._sendRaw(encodePacket(0, SERVERDATA_AUTH, this.password));
       });
+      this._socket = socket;
 
-      this._socket.on('data', (chunk) => this._onData(chunk));
+      socket.on('data', (chunk) => this._onData(chunk));
 
-      this._socket.on('error', (err) => {
+      socket.on('error', (err) => {
         clearTimeout(timer);
-        this.emit('error', err);
+        // Failed reconnect attempts are reported through 'reconnecting' instead
+        if (!this.reconnecting) this.emit('error', err);
         if (this._pendingAuth) {
           this._pendingAuth.reject(err);
           this._pendingAuth = null;
+        } else if (!this._authenticated) {
+          reject(err);
         }
       });
 
-      this._socket.on('close', () => {
+      socket.on('close', () => {
+        clearTimeout(timer);
+        const wasAuthed = this._authenticated;
         this._authenticated = false;
-        this._socket = null;
+        if (this._socket === socket) {
+          this._socket = null;
+          this._recvBuf = Buffer.alloc(0);
+        }
+
+        if (this._pendingAuth) {
+          this._pendingAuth.reject(new Error('Connection closed during authentication'));
+          this._pendingAuth = null;
+        }
+
+        // Fail in-flight commands now rather than at their timeouts
+        this._rejectPending();
+
+        // A failed reconnect attempt — the reconnector schedules the next one
+        if (this.reconnecting) return;
+
         this.emit('close');
+
+        if (wasAuthed && !this._closed && this._reconnector) {
+          this._reconnector.schedule();
+        }
       });
     });
   }
@@ -139,59 +186,110 @@ class RconConnection extends EventEmitter {
   /**
    * Send a command and return the full response text.
    * Handles multi-packet responses automatically.
+   * Rejects with RconTimeoutError (carrying any partial output) if the response
+   * doesn't complete within `timeout`.
    */
   exec(command) {
+    return this._request(command, null);
+  }
+
+  /**
+   * Send a command and stream its response as packets arrive.
+   * Returns a Readable (utf8) that ends once the full response is in, or is
+   * destroyed with an error (RconTimeoutError on timeout) if the command fails.
+   */
+  execStream(command) {
+    const stream = new Readable({ encoding: 'utf8', read() {} });
+
+    this._request(command, (chunk) => stream.push(chunk))
+      .then(() => stream.push(null), (err) => stream.destroy(err));
+
+    return stream;
+  }
+
+  /**
+   * Disconnect from the server. Also cancels any pending reconnect.
+   */
+  destroy() {
+    this._closed = true;
+    if (this._reconnector) this._reconnector.cancel();
+    this._teardown();
+  }
+
+  // ── Internal ──────────────────────────────────────────────────────────────
+
+  /**
+   * Send a command; `onChunk(text)` (optional) sees each response packet body.
+   */
+  _request(command, onChunk) {
     return new Promise((resolve, reject) => {
       if (!this._authenticated) {
         return reject(new Error('Not authenticated'));
       }
 
       const id = this._nextId();
-      this._pending.set(id, {
-        body: '',
-        resolve,
-        reject,
-      });
+      const sentinelId = this._nextId();
+
+      const timer = setTimeout(() => {
+        if (this._pending.get(id) === entry) {
+          this._settle(id);
+          reject(new RconTimeoutError(command, entry.body, this.timeout));
+        }
+      }, this.timeout);
+
+      const entry = { body: '', sentinelId, timer, onChunk, resolve, reject };
+      this._pending.set(id, entry);
+      this._sentinels.set(sentinelId, id);
 
       // Send the command
       this._sendRaw(encodePacket(id, SERVERDATA_EXECCOMMAND, command));
 
-      // Send an empty RESPONSE_VALUE as a sentinel to detect end of multi-packet response.
-      // The server will mirror this back after the real response is complete.
-      this._sendRaw(encodePacket(SENTINEL_ID, SERVERDATA_RESPONSE_VALUE, ''));
-
-      // Timeout for response
-      setTimeout(() => {
-        if (this._pending.has(id)) {
-          const entry = this._pending.get(id);
-          this._pending.delete(id);
-          // Return whatever we've accumulated so far rather than erroring
-          resolve(entry.body || '(no response)');
-        }
-      }, this.timeout);
+      // Send an empty RESPONSE_VALUE with this command's own sentinel ID.
+      // The server answers packets in order, so once the sentinel is mirrored back
+      // every response packet for `id` has arrived — even with other commands in flight.
+      this._sendRaw(encodePacket(sentinelId, SERVERDATA_RESPONSE_VALUE, ''));
     });
   }
 
-  /**
-   * Disconnect from the server.
-   */
-  destroy() {
+  _teardown() {
     if (this._socket) {
       this._socket.destroy();
       this._socket = null;
     }
     this._authenticated = false;
     this._recvBuf = Buffer.alloc(0);
-    this._pending.clear();
+
+    // Fail in-flight commands instead of leaving them to their timeouts
+    this._rejectPending();
   }
 
-  // ── Internal ──────────────────────────────────────────────────────────────
+  _rejectPending() {
+    for (const [id, entry] of this._pending) {
+      this._settle(id);
+      entry.reject(new Error('Connection closed'));
+    }
+  }
 
   _nextId() {
-    this._requestId = (this._requestId % 9000) + 1;
+    // Skip IDs still owned by an in-flight command or sentinel
+    do {
+      this._requestId = (this._requestId % MAX_REQUEST_ID) + 1;
+    } while (this._pending.has(this._requestId) || this._sentinels.has(this._requestId));
     return this._requestId;
   }
 
+  /**
+   * Forget an in-flight command and its sentinel. Returns the entry, if any.
+   */
+  _settle(id) {
+    const entry = this._pending.get(id);
+    if (!entry) return null;
+    clearTimeout(entry.timer);
+    this._pending.delete(id);
+    this._sentinels.delete(entry.sentinelId);
+    return entry;
+  }
+
   _sendRaw(buf) {
     if (this.connected) {
       this._socket.write(buf);
@@ -223,7 +321,7 @@ class RconConnection extends EventEmitter {
           this.emit('auth-failed');
           this._pendingAuth.reject(new Error('RCON authentication failed — bad password'));
           this._pendingAuth = null;
-          this.destroy();
+          this._teardown();
         } else {
           // Auth succeeded
           this._authenticated = true;
@@ -245,21 +343,22 @@ class RconConnection extends EventEmitter {
       }
     }
 
-    // Sentinel response — marks the end of a multi-packet response
-    if (pkt.id === SENTINEL_ID) {
-      // Find the pending command and resolve it
-      for (const [id, entry] of this._pending) {
-        this._pending.delete(id);
-        this.emit('response', id, entry.body);
-        entry.resolve(entry.body);
-        break;
-      }
+    // Sentinel response — marks the end of the matching command's response.
+    // SRCDS follows the mirrored sentinel with a second packet ("\0\0\1\0") under
+    // the same ID; by then the sentinel is forgotten, so that packet is ignored.
+    if (this._sentinels.has(pkt.id)) {
+      const id = this._sentinels.get(pkt.id);
+      const entry = this._settle(id);
+      this.emit('response', id, entry.body);
+      entry.resolve(entry.body);
       return;
     }
 
     // Regular response packet — accumulate body
     if (pkt.type === SERVERDATA_RESPONSE_VALUE && this._pending.has(pkt.id)) {
-      this._pending.get(pkt.id).body += pkt.body;
+      const entry = this._pending.get(pkt.id);
+      entry.body += pkt.body;
+      if (entry.onChunk && pkt.body) entry.onChunk(pkt.body);
       return;
     }
   }
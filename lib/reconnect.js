@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * Reconnect policy shared by the RCON clients.
+ *
+ * Policy options (pass `reconnect: true` for the defaults):
+ *   maxAttempts   - give up after this many failed attempts (default: 10, Infinity for no cap)
+ *   initialDelay  - delay before the first attempt in ms (default: 1000)
+ *   maxDelay      - upper bound for any single delay in ms (default: 30000)
+ *   factor        - exponential growth factor per attempt (default: 2)
+ *   jitter        - fraction of the delay to randomize, 0..1 (default: 0.5)
+ */
+
+const DEFAULT_POLICY = {
+  maxAttempts: 10,
+  initialDelay: 1000,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: 0.5,
+};
+
+/**
+ * Turn the user-facing `reconnect` option into a full policy, or null if disabled.
+ */
+function normalizeReconnect(option) {
+  if (!option) return null;
+  if (option === true) return { ...DEFAULT_POLICY };
+  return { ...DEFAULT_POLICY, ...option };
+}
+
+/**
+ * Delay in ms before the given (1-based) attempt.
+ * Exponential backoff capped at maxDelay, with the top `jitter` fraction randomized.
+ */
+function backoffDelay(policy, attempt) {
+  const base = Math.min(policy.maxDelay, policy.initialDelay * Math.pow(policy.factor, attempt - 1));
+  const jitter = Math.min(Math.max(policy.jitter, 0), 1);
+  return Math.round(base * (1 - jitter * Math.random()));
+}
+
+/**
+ * Create a reconnector that drives `client.connect()` with backoff.
+ *
+ * Emits on the client:
+ *   'reconnecting' (attempt, delay, lastError) - an attempt has been scheduled
+ *   'reconnected' (attempts)                   - connect() + auth succeeded again
+ *   'reconnect-failed' (lastError)             - maxAttempts exhausted
+ */
+function createReconnector(client, policy) {
+  let attempt = 0;
+  let timer = null;
+  // Bumped on cancel() so in-flight connect() results from an old run are ignored
+  let generation = 0;
+
+  function schedule(lastError) {
+    if (timer) return;
+
+    attempt += 1;
+    if (attempt > policy.maxAttempts) {
+      attempt = 0;
+      client.emit('reconnect-failed', lastError || new Error('Reconnect attempts exhausted'));
+      return;
+    }
+
+    const delay = backoffDelay(policy, attempt);
+    const gen = generation;
+    client.emit('reconnecting', attempt, delay, lastError || null);
+
+    timer = setTimeout(() => {
+      timer = null;
+      client.connect().then(
+        () => {
+          if (gen !== generation) return;
+          const attempts = attempt;
+          attempt = 0;
+          client.emit('reconnected', attempts);
+        },
+        (err) => {
+          if (gen !== generation) return;
+          schedule(err);
+        }
+      );
+    }, delay);
+  }
+
+  function cancel() {
+    clearTimeout(timer);
+    timer = null;
+    attempt = 0;
+    generation += 1;
+  }
+
+  return {
+    schedule,
+    cancel,
+    /** True between a dropped connection and a successful (or abandoned) reconnect. */
+    get active() {
+      return attempt > 0;
+    },
+  };
+}
+
+module.exports = { normalizeReconnect, backoffDelay, createReconnector, DEFAULT_POLICY };
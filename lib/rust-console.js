@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * Parser for Rust server console output.
+ *
+ * Turns known lines pushed by a Rust server (and Oxide/Carbon plugins) into typed
+ * events. Every event has `type` and `raw` (the original message text):
+ *
+ *   chat                 { user, userId, message, color }     global chat
+ *   team-chat            { user, userId, message, color }     team chat
+ *   player-connected     { user, userId, address }
+ *   player-disconnected  { user, userId, address, reason }
+ *   kill                 { victim, victimId, killer, killerId }
+ *   plugin-loaded        { name, version, author }
+ *   save                 { entities }                         entities is null if not reported
+ *   error                { message }
+ *
+ * Lines that match nothing parse to null and are shown as plain server messages.
+ */
+
+// Rust chat channels in the JSON payload of "Chat" messages
+const CHANNEL_TEAM = 1;
+
+// "[CHAT] bob[123/76561198000000000] : hello" — the bracketed ids are optional
+const CHAT_LINE = /^\[(CHAT|TEAM CHAT)\]\s+(.+?)(?:\[(?:\d+\/)?(\d+)\])?\s+:\s+(.*)$/s;
+
+// "203.0.113.7:51234/76561198000000000/bob joined [windows/76561198000000000]"
+const JOINED = /^(\S+?):\d+\/(\d+)\/(.+?) joined \[/;
+
+// "203.0.113.7:51234/76561198000000000/bob disconnecting: closing"
+const DISCONNECTING = /^(\S+?):\d+\/(\d+)\/(.+?) disconnecting: (.*)$/;
+
+// "bob[76561198000000001] was killed by alice[76561198000000002] at (1.0, 2.0, 3.0)"
+const KILLED = /^(.+?)\[(?:\d+\/)?(\d+)\] was killed by (.+?)(?:\[(?:\d+\/)?(\d+)\])?(?: at \(.*\))?$/;
+
+// "Loaded plugin Kits v4.4.0 by k1lly0u" (Oxide) — Carbon appends " [12ms]"
+const PLUGIN_LOADED = /^Loaded plugin (.+?) v(\S+) by (.+?)(?: \[\d+(?:\.\d+)?ms\])?$/;
+
+// "Saved 12,345 ents, cache(0.12), write(0.05), disk(0.01)."
+const SAVED = /^Saved ([\d,]+) ents/;
+const SAVING = /^(?:\[Save\]|Saving complete)/;
+
+const ERROR_LINE = /^(?:Error\b|Failed to call hook|[\w.]+Exception:)/;
+
+/**
+ * Parse the JSON payload of a Rust "Chat" message.
+ */
+function parseChatPayload(body) {
+  let chat;
+  try {
+    chat = JSON.parse(body);
+  } catch {
+    return null;
+  }
+  if (!chat || typeof chat.Message !== 'string') return null;
+
+  return {
+    type: chat.Channel === CHANNEL_TEAM ? 'team-chat' : 'chat',
+    user: chat.Username || '',
+    userId: chat.UserId != null ? String(chat.UserId) : null,
+    message: chat.Message,
+    color: chat.Color || null,
+    raw: body,
+  };
+}
+
+/**
+ * Parse one console message into a typed event, or null if it isn't a known kind.
+ *
+ * @param {string} body - message text
+ * @param {string} [type] - the Rust message Type ('Generic', 'Warning', 'Error', 'Chat', ...)
+ */
+function parseRustMessage(body, type) {
+  const text = String(body || '').trim();
+  if (!text) return null;
+
+  if (type === 'Chat') {
+    const chat = parseChatPayload(text);
+    if (chat) return chat;
+  }
+
+  let m = CHAT_LINE.exec(text);
+  if (m) {
+    return {
+      type: m[1] === 'TEAM CHAT' ? 'team-chat' : 'chat',
+      user: m[2],
+      userId: m[3] || null,
+      message: m[4],
+      color: null,
+      raw: text,
+    };
+  }
+
+  if ((m = JOINED.exec(text))) {
+    return { type: 'player-connected', user: m[3], userId: m[2], address: m[1], raw: text };
+  }
+
+  if ((m = DISCONNECTING.exec(text))) {
+    return { type: 'player-disconnected', user: m[3], userId: m[2], address: m[1], reason: m[4], raw: text };
+  }
+
+  if ((m = KILLED.exec(text))) {
+    return { type: 'kill', victim: m[1], victimId: m[2], killer: m[3], killerId: m[4] || null, raw: text };
+  }
+
+  if ((m = PLUGIN_LOADED.exec(text))) {
+    return { type: 'plugin-loaded', name: m[1], version: m[2], author: m[3], raw: text };
+  }
+
+  if ((m = SAVED.exec(text))) {
+    return { type: 'save', entities: Number(m[1].replace(/,/g, '')), raw: text };
+  }
+
+  if (SAVING.test(text)) {
+    return { type: 'save', entities: null, raw: text };
+  }
+
+  if (type === 'Error' || ERROR_LINE.test(text)) {
+    return { type: 'error', message: text, raw: text };
+  }
+
+  return null;
+}
+
+module.exports = { parseRustMessage };
@@ -0,0 +1,558 @@
+'use strict';
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { parseDuration, formatDuration } = require('./duration');
+const { createFormatter } = require('./formatter');
+
+/**
+ * Scheduled and recurring RCON commands.
+ *
+ * A schedule looks like:
+ *   {
+ *     id: '3f9c2a1b',
+ *     name: 'Nightly save',
+ *     server: 'eu-1',              // target server id (null: the bridge's only server)
+ *     command: 'server.save',
+ *     cron: '0 4 * * *',           // either cron ...
+ *     every: null,                 // ... or an interval in ms
+ *     enabled: true,
+ *     createdAt: '2026-10-19T18:00:00.000Z',
+ *     lastRun: { at, ok, response, error } | null,
+ *   }
+ */
+
+// ── Cron ──────────────────────────────────────────────────────────────────────
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+const CRON_NICKNAMES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+function cronValue(text, field) {
+  const lower = text.toLowerCase();
+  if (field.names && field.names.includes(lower)) {
+    return field.names.indexOf(lower) + (field.min === 1 ? 1 : 0);
+  }
+  const n = Number(text);
+  if (!/^\d+$/.test(text) || n < field.min || n > field.max) {
+    throw new Error(`rcon-htmx: invalid ${field.name} "${text}" in cron expression`);
+  }
+  return n;
+}
+
+/**
+ * Parse one cron field ('*', '5', '1-5', '*\/15', 'mon-fri', '0,30') into a Set.
+ */
+function parseCronField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`rcon-htmx: invalid step "${stepText}" in cron expression`);
+    }
+
+    let from = field.min;
+    let to = field.max;
+    if (range !== '*') {
+      const [a, b] = range.split('-');
+      from = cronValue(a, field);
+      to = b === undefined ? (stepText === undefined ? from : field.max) : cronValue(b, field);
+    }
+
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression (minute hour day-of-month month day-of-week)
+ * or a nickname such as '@daily'. Times are in the server's local time zone.
+ */
+function parseCron(expression) {
+  const text = CRON_NICKNAMES[String(expression).trim().toLowerCase()] || String(expression).trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`rcon-htmx: cron expression needs 5 fields, got "${expression}"`);
+  }
+
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseCronField(p, CRON_FIELDS[i]));
+  // 7 is Sunday too
+  if (dow.has(7)) dow.add(0);
+
+  return {
+    minute,
+    hour,
+    dom,
+    month,
+    dow,
+    // Standard cron: when both day fields are restricted, either may match
+    domAny: parts[2] === '*',
+    dowAny: parts[4] === '*',
+  };
+}
+
+/**
+ * The first time after `after` that matches a parsed cron expression, or null
+ * if there is none within five years (e.g. '0 0 31 2 *').
+ */
+function nextCronTime(cron, after = new Date()) {
+  const t = new Date(after.getTime());
+  t.setSeconds(0, 0);
+  t.setMinutes(t.getMinutes() + 1);
+
+  const limit = after.getTime() + 5 * 366 * 24 * 3600 * 1000;
+
+  while (t.getTime() <= limit) {
+    if (!cron.month.has(t.getMonth() + 1)) {
+      t.setMonth(t.getMonth() + 1, 1);
+      t.setHours(0, 0, 0, 0);
+      continue;
+    }
+
+    const domOk = cron.dom.has(t.getDate());
+    const dowOk = cron.dow.has(t.getDay());
+    const dayOk = cron.domAny && cron.dowAny ? true
+      : cron.domAny ? dowOk
+      : cron.dowAny ? domOk
+      : domOk || dowOk;
+    if (!dayOk) {
+      t.setDate(t.getDate() + 1);
+      t.setHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!cron.hour.has(t.getHours())) {
+      t.setHours(t.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+
+    if (!cron.minute.has(t.getMinutes())) {
+      t.setMinutes(t.getMinutes() + 1, 0, 0);
+      continue;
+    }
+
+    return t;
+  }
+
+  return null;
+}
+
+// ── Intervals ─────────────────────────────────────────────────────────────────
+
+/**
+ * Parse a schedule interval — a duration of at least 1s.
+ */
+function parseEvery(value) {
+  const ms = parseDuration(value);
+  if (ms < 1000) throw new Error('rcon-htmx: schedule interval must be at least 1s');
+  return ms;
+}
+
+/**
+ * Parse a "when" string from a form: 'every 15m' or a cron expression.
+ * Returns { cron, every }.
+ */
+function parseWhen(text) {
+  const value = String(text || '').trim();
+  const every = /^every\s+(.+)$/i.exec(value);
+  if (every) return { cron: null, every: parseEvery(every[1]) };
+  parseCron(value);
+  return { cron: value, every: null };
+}
+
+/**
+ * Format an interval in ms the way parseEvery() reads it.
+ */
+const formatEvery = formatDuration;
+
+// setTimeout can't wait longer than this — longer waits are re-armed in steps
+const MAX_TIMER = 2 ** 31 - 1;
+
+/**
+ * Scheduler runs commands on cron or interval schedules and persists them to a JSON file.
+ *
+ * Options:
+ *   file     - JSON file to load schedules from and save them to (optional; in-memory without)
+ *   run      - function(server, command) => Promise of the response text. The bridge sets
+ *              this when the scheduler is passed as its `scheduler` option.
+ *   servers  - [{ id, label }] valid targets, for validation and the create form
+ *              (the bridge fills this in too)
+ *   maxResponseLength - characters of response kept in lastRun (default: 500)
+ *
+ * Events:
+ *   'run' (schedule, lastRun)  - a scheduled command finished (or failed)
+ *   'change' (schedules)       - schedules were added, changed or removed
+ *   'error' (err)              - saving the schedule file failed (only if listened for)
+ */
+class Scheduler extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.file = options.file || null;
+    this.run = options.run || null;
+    this.servers = options.servers || null;
+    this.maxResponseLength = options.maxResponseLength || 500;
+
+    this._schedules = new Map();
+    this._timers = new Map();
+    this._started = false;
+    this._loaded = null;
+    this._saving = Promise.resolve();
+  }
+
+  get started() {
+    return this._started;
+  }
+
+  /**
+   * Load schedules from `file` (once). Missing files are treated as empty.
+   */
+  load() {
+    if (!this._loaded) {
+      this._loaded = (async () => {
+        if (!this.file) return;
+        let text;
+        try {
+          text = await fs.promises.readFile(this.file, 'utf8');
+        } catch (err) {
+          if (err.code === 'ENOENT') return;
+          throw err;
+        }
+        for (const schedule of JSON.parse(text)) {
+          this._schedules.set(schedule.id, schedule);
+        }
+      })();
+    }
+    return this._loaded;
+  }
+
+  /**
+   * Load schedules and start their timers.
+   */
+  async start() {
+    await this.load();
+    if (this._started) return;
+    this._started = true;
+    for (const schedule of this._schedules.values()) this._arm(schedule);
+  }
+
+  /**
+   * Stop all timers. Schedules stay loaded.
+   */
+  stop() {
+    this._started = false;
+    for (const timer of this._timers.values()) clearTimeout(timer);
+    this._timers.clear();
+  }
+
+  /**
+   * All schedules, in creation order.
+   */
+  list() {
+    return [...this._schedules.values()];
+  }
+
+  get(id) {
+    return this._schedules.get(id) || null;
+  }
+
+  /**
+   * Add a schedule. Takes { name, server, command, cron | every | when, enabled }.
+   * Resolves with the new schedule once it has been saved.
+   */
+  async add(def = {}) {
+    await this.load();
+    const schedule = {
+      id: crypto.randomBytes(4).toString('hex'),
+      ...this._validate(def),
+      enabled: def.enabled !== false,
+      createdAt: new Date().toISOString(),
+      lastRun: null,
+    };
+
+    this._schedules.set(schedule.id, schedule);
+    this._arm(schedule);
+    await this._changed();
+    return schedule;
+  }
+
+  /**
+   * Change a schedule's name, server, command, timing or enabled flag.
+   */
+  async update(id, patch = {}) {
+    const schedule = this._require(id);
+    const next = { ...schedule, ...patch };
+    if (patch.when != null) Object.assign(next, parseWhen(patch.when));
+    else if (patch.cron != null) next.every = null;
+    else if (patch.every != null) next.cron = null;
+    Object.assign(schedule, this._validate(next), { enabled: next.enabled !== false });
+
+    this._arm(schedule);
+    await this._changed();
+    return schedule;
+  }
+
+  pause(id) {
+    return this.update(id, { enabled: false });
+  }
+
+  resume(id) {
+    return this.update(id, { enabled: true });
+  }
+
+  async remove(id) {
+    this._require(id);
+    this._disarm(id);
+    this._schedules.delete(id);
+    await this._changed();
+  }
+
+  /**
+   * When a schedule runs next, or null if it's paused or never matches.
+   */
+  nextRun(schedule) {
+    if (!schedule.enabled) return null;
+    if (schedule.cron) return nextCronTime(parseCron(schedule.cron));
+
+    const from = schedule.lastRun ? Date.parse(schedule.lastRun.at) : Date.parse(schedule.createdAt);
+    return new Date(Math.max(Date.now(), from + schedule.every));
+  }
+
+  /**
+   * Run a schedule's command now, outside its timing. Resolves with its lastRun.
+   */
+  async runNow(id) {
+    return this._execute(this._require(id));
+  }
+
+  // ── Internal ──────────────────────────────────────────────────────────────
+
+  _require(id) {
+    const schedule = this._schedules.get(id);
+    if (!schedule) throw new Error(`rcon-htmx: no schedule "${id}"`);
+    return schedule;
+  }
+
+  _validate(def) {
+    const name = String(def.name || '').trim();
+    const command = String(def.command || '').trim();
+    if (!name) throw new Error('rcon-htmx: a schedule needs a name');
+    if (!command) throw new Error('rcon-htmx: a schedule needs a command');
+
+    const server = def.server != null && def.server !== '' ? String(def.server) : null;
+    if (server && this.servers && !this.servers.some((s) => s.id === server)) {
+      throw new Error(`rcon-htmx: unknown server "${server}"`);
+    }
+
+    let timing;
+    if (def.when != null && def.cron == null && def.every == null) {
+      timing = parseWhen(def.when);
+    } else if (def.cron) {
+      parseCron(def.cron);
+      timing = { cron: String(def.cron).trim(), every: null };
+    } else if (def.every != null) {
+      timing = { cron: null, every: parseEvery(def.every) };
+    } else {
+      throw new Error('rcon-htmx: a schedule needs "cron" or "every"');
+    }
+
+    return { name, server, command, ...timing };
+  }
+
+  _disarm(id) {
+    clearTimeout(this._timers.get(id));
+    this._timers.delete(id);
+  }
+
+  _arm(schedule) {
+    this._disarm(schedule.id);
+    if (!this._started) return;
+
+    const next = this.nextRun(schedule);
+    if (!next) return;
+
+    const delay = Math.max(0, next.getTime() - Date.now());
+    const timer = setTimeout(() => {
+      this._timers.delete(schedule.id);
+      if (delay > MAX_TIMER) {
+        this._arm(schedule);
+        return;
+      }
+      this._execute(schedule).finally(() => {
+        if (this._schedules.get(schedule.id) === schedule) this._arm(schedule);
+      });
+    }, Math.min(delay, MAX_TIMER));
+    if (timer.unref) timer.unref();
+
+    this._timers.set(schedule.id, timer);
+  }
+
+  async _execute(schedule) {
+    const lastRun = { at: new Date().toISOString(), ok: false, response: null, error: null };
+
+    try {
+      if (!this.run) throw new Error('no runner — pass the scheduler to createRconBridge or set `run`');
+      let response = String(await this.run(schedule.server, schedule.command));
+      if (response.length > this.maxResponseLength) {
+        response = `${response.slice(0, this.maxResponseLength)}…`;
+      }
+      lastRun.ok = true;
+      lastRun.response = response;
+    } catch (err) {
+      lastRun.error = err.message;
+    }
+
+    schedule.lastRun = lastRun;
+    this.emit('run', schedule, lastRun);
+    await this._changed();
+    return lastRun;
+  }
+
+  /**
+   * Persist and announce a change. Save failures go to 'error' listeners, if any.
+   */
+  async _changed() {
+    this.emit('change', this.list());
+    if (!this.file) return;
+
+    const json = `${JSON.stringify(this.list(), null, 2)}\n`;
+    const done = this._saving.then(async () => {
+      // Write-then-rename so a crash never leaves a half-written file
+      const tmp = `${this.file}.tmp`;
+      await fs.promises.writeFile(tmp, json);
+      await fs.promises.rename(tmp, this.file);
+    });
+    this._saving = done.catch(() => {});
+
+    try {
+      await done;
+    } catch (err) {
+      if (this.listenerCount('error')) this.emit('error', err);
+    }
+  }
+}
+
+// ── HTTP fragments ────────────────────────────────────────────────────────────
+
+/**
+ * Read an application/x-www-form-urlencoded body (or use one Express already parsed).
+ */
+function readForm(req) {
+  if (req.body && typeof req.body === 'object') return Promise.resolve(req.body);
+
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > 64 * 1024) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(body))));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * HTTP handler serving htmx fragments for a scheduler. Mount it behind your own auth.
+ *
+ *   GET    <basePath>              - schedule panel: table and create form
+ *   POST   <basePath>              - create from form fields name, server, when, command
+ *   POST   <basePath>/<id>/pause   - pause; responds with the updated row
+ *   POST   <basePath>/<id>/resume  - resume; responds with the updated row
+ *   DELETE <basePath>/<id>         - delete; responds with nothing, removing the row
+ *
+ * Options:
+ *   basePath   - URL prefix (default: '/schedules')
+ *   formatter  - createFormatter() instance used to render (default: a new one)
+ *
+ * Works as a plain Node request handler or Express middleware (calls next() for
+ * other paths when given).
+ */
+function createScheduleHandler(scheduler, options = {}) {
+  const basePath = (options.basePath || '/schedules').replace(/\/$/, '');
+  const fmt = options.formatter || createFormatter();
+
+  function send(res, status, html, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+    res.end(html);
+  }
+
+  return async (req, res, next) => {
+    const url = new URL(req.originalUrl || req.url, 'http://localhost');
+    const rest = url.pathname.startsWith(basePath) ? url.pathname.slice(basePath.length) : null;
+    const notFound = () => (next ? next() : send(res, 404, ''));
+    if (rest === null) return notFound();
+
+    const view = { basePath, servers: scheduler.servers, nextRun: (s) => scheduler.nextRun(s) };
+
+    try {
+      await scheduler.load();
+
+      if (rest === '' || rest === '/') {
+        if (req.method === 'GET') return send(res, 200, fmt.schedules(scheduler.list(), view));
+
+        if (req.method === 'POST') {
+          const form = await readForm(req);
+          try {
+            const schedule = await scheduler.add({
+              name: form.name, server: form.server, when: form.when, command: form.command,
+            });
+            // The create form resets itself on this event
+            return send(res, 200, fmt.scheduleCreated(schedule, view), { 'HX-Trigger': 'rcon-schedule-created' });
+          } catch (err) {
+            // Only the OOB error message is swapped in; the form keeps its values
+            return send(res, 200, fmt.scheduleError(err.message.replace(/^rcon-htmx: /, '')), { 'HX-Reswap': 'none' });
+          }
+        }
+      }
+
+      const m = /^\/([\w-]+)(?:\/(pause|resume))?$/.exec(rest);
+      if (!m || !scheduler.get(m[1])) return notFound();
+
+      if (req.method === 'POST' && m[2]) {
+        const schedule = await scheduler[m[2]](m[1]);
+        return send(res, 200, fmt.scheduleRow(schedule, view));
+      }
+
+      if (req.method === 'DELETE' && !m[2]) {
+        await scheduler.remove(m[1]);
+        return send(res, 200, '');
+      }
+
+      return notFound();
+    } catch (err) {
+      return send(res, 500, fmt.scheduleError(err.message));
+    }
+  };
+}
+
+module.exports = {
+  Scheduler,
+  createScheduleHandler,
+  parseCron,
+  nextCronTime,
+  parseDuration,
+  parseEvery,
+  parseWhen,
+  formatEvery,
+};
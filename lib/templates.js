@@ -0,0 +1,223 @@
+'use strict';
+
+/**
+ * Template sets for the formatter. A template renders the markup for one kind of
+ * message; the formatter wraps it in the OOB swap and adds the status swaps, so
+ * a template never deals with hx-swap-oob.
+ *
+ * Each template is called as template(ctx, h). `h` holds the helpers:
+ *   h.escape(text)       - escape HTML
+ *   h.markup(text)       - escape, and render colour codes when the formatter has `colors`
+ *   h.render(kind, ctx)  - render another template of the same set
+ *
+ * Kinds and their ctx (`time` is a <time> element in the session's locale and
+ * time zone, ready to insert; `duration` is how long the command took, as text,
+ * or '' unless the formatter has showDuration):
+ *   line           { text, html, time }                       one line of server output;
+ *                                                             html is text already escaped
+ *   response       { command, text, lines, time, duration }   lines: rendered `line`s, '' if none
+ *   timeout        { command, partial, lines, note, time,     partial: the output that arrived;
+ *                    duration }                                include a ws-send retry form
+ *   error          { message, time }
+ *   info           { message, time }
+ *   serverMessage  { text, html, lines, level, type, time }   pushed console output; level is
+ *                                                             'info', 'warning' or 'error'
+ *   status         { state, label }                           the connection badge — rendered
+ *                                                             without an id, the formatter adds
+ *                                                             id="rcon-status" to its root
+ *   auth           { success, message, time }                 the message after a connect attempt
+ *
+ * Only these kinds are templated. Streamed response blocks, macro runs, console
+ * events and the panels (players, metrics, schedules, history, audit) keep the
+ * formatter's fixed .rcon-* markup whatever the preset.
+ */
+
+const KINDS = ['line', 'response', 'timeout', 'error', 'info', 'serverMessage', 'status', 'auth'];
+
+function durationSpan(duration, className = 'rcon-duration') {
+  return duration ? `<span class="${className}">${duration}</span>` : '';
+}
+
+// Retry form for a timed-out command — re-sends it over the htmx ws extension
+function retryForm(command, h, buttonClass) {
+  return `<form ws-send class="rcon-retry">` +
+      `<input type="hidden" name="command" value="${h.escape(command)}">` +
+      `<button type="submit"${buttonClass ? ` class="${buttonClass}"` : ''}>Retry</button>` +
+    `</form>`;
+}
+
+/**
+ * The default markup, with the .rcon-* classes listed in the README.
+ */
+const minimal = {
+  line: (ctx) => `<span class="rcon-line">${ctx.html}</span>`,
+
+  response: (ctx, h) =>
+    `<div class="rcon-response">` +
+      `<div class="rcon-meta">` +
+        `<span class="rcon-cmd">&gt; ${h.escape(ctx.command)}</span>` +
+        `<span class="rcon-time">${ctx.time}</span>` +
+        durationSpan(ctx.duration) +
+      `</div>` +
+      `<div class="rcon-body">${ctx.lines || '<span class="rcon-empty">(no output)</span>'}</div>` +
+    `</div>`,
+
+  timeout: (ctx, h) =>
+    `<div class="rcon-response rcon-timeout${ctx.partial ? ' rcon-partial' : ''}">` +
+      `<div class="rcon-meta">` +
+        `<span class="rcon-cmd">&gt; ${h.escape(ctx.command)}</span>` +
+        `<span class="rcon-time">${ctx.time}</span>` +
+        durationSpan(ctx.duration) +
+      `</div>` +
+      (ctx.lines ? `<div class="rcon-body">${ctx.lines}</div>` : '') +
+      `<div class="rcon-timeout-note">${h.escape(ctx.note)}${retryForm(ctx.command, h)}</div>` +
+    `</div>`,
+
+  error: (ctx, h) =>
+    `<div class="rcon-error">` +
+      `<span class="rcon-error-icon">!</span> ${h.escape(ctx.message)}` +
+    `</div>`,
+
+  info: (ctx, h) => `<div class="rcon-info">${h.escape(ctx.message)}</div>`,
+
+  serverMessage: (ctx) => {
+    const cls = ctx.level === 'warning' ? 'rcon-warn' : ctx.level === 'error' ? 'rcon-error' : 'rcon-server';
+    return `<div class="${cls}"><span class="rcon-time">${ctx.time}</span> ${ctx.html}</div>`;
+  },
+
+  status: (ctx) => `<span class="rcon-status ${ctx.state}">${ctx.label}</span>`,
+
+  auth: (ctx, h) => h.render(ctx.success ? 'info' : 'error', { message: ctx.message, time: ctx.time }),
+};
+
+/**
+ * CSS class for a terminal line, by what the line says.
+ */
+function lineClass(text) {
+  const s = (text || '').trim();
+  if (/^\[OpenAI\]/.test(s)) return 'log-openai';
+  if (/^\[CSharp\]/.test(s)) return 'log-csharp';
+  if (/^\[event\]/.test(s)) return 'log-event';
+  if (/^Error\b/i.test(s)) return 'log-error';
+  if (/shutting down|shutdown|compiler/i.test(s)) return 'log-warn';
+  if (/loaded plugin/i.test(s)) return 'log-plugin';
+  if (/network group|dynamicpreventbuilding|prefab/i.test(s)) return 'log-game';
+  return 'log-default';
+}
+
+function terminalLine(cls, html, time) {
+  return `<div class="terminal-line ${cls} fade-in">` +
+    `<span class="terminal-text">${html}</span><span class="terminal-time">${time}</span>` +
+  `</div>`;
+}
+
+/**
+ * Full-width terminal lines, text left and time right, coloured by content with
+ * .log-* classes — the markup of the example apps in examples/.
+ */
+const terminal = {
+  line: (ctx) => terminalLine(lineClass(ctx.text), ctx.html, ctx.time),
+
+  response: (ctx, h) =>
+    `<div class="rcon-response">` +
+      terminalLine('log-cmd', `&gt; ${h.escape(ctx.command)}${ctx.duration ? ` ${durationSpan(ctx.duration)}` : ''}`, ctx.time) +
+      (ctx.lines || terminalLine('log-default', '(no output)', ctx.time)) +
+    `</div>`,
+
+  timeout: (ctx, h) =>
+    `<div class="rcon-response rcon-timeout">` +
+      terminalLine('log-cmd', `&gt; ${h.escape(ctx.command)}${ctx.duration ? ` ${durationSpan(ctx.duration)}` : ''}`, ctx.time) +
+      ctx.lines +
+      `<div class="terminal-line log-warn fade-in">` +
+        `<span class="terminal-text">${h.escape(ctx.note)}</span>${retryForm(ctx.command, h)}` +
+      `</div>` +
+    `</div>`,
+
+  error: (ctx, h) =>
+    `<div class="rcon-error fade-in"><span class="rcon-error-icon">!</span> ${h.escape(ctx.message)}</div>`,
+
+  info: (ctx, h) => `<div class="rcon-system fade-in">${h.escape(ctx.message)}</div>`,
+
+  serverMessage: (ctx) => `<div class="rcon-server">${ctx.lines}</div>`,
+
+  status: (ctx) => `<span class="console-badge ${ctx.state}">${ctx.label.toLowerCase()}</span>`,
+
+  auth: minimal.auth,
+};
+
+/**
+ * Tailwind utility classes and DaisyUI components (alert, badge, btn).
+ */
+const daisyui = {
+  line: (ctx) => `<span class="block whitespace-pre-wrap">${ctx.html}</span>`,
+
+  response: (ctx, h) =>
+    `<div class="rcon-response mb-2">` +
+      `<div class="flex justify-between text-xs opacity-70">` +
+        `<span class="font-mono text-primary">&gt; ${h.escape(ctx.command)}</span>` +
+        `<span>${ctx.time}${durationSpan(ctx.duration, 'rcon-duration badge badge-ghost badge-sm ml-2')}</span>` +
+      `</div>` +
+      `<div class="font-mono text-sm">${ctx.lines || '<span class="italic opacity-50">(no output)</span>'}</div>` +
+    `</div>`,
+
+  timeout: (ctx, h) =>
+    `<div class="rcon-response rcon-timeout mb-2">` +
+      `<div class="flex justify-between text-xs opacity-70">` +
+        `<span class="font-mono text-primary">&gt; ${h.escape(ctx.command)}</span>` +
+        `<span>${ctx.time}${durationSpan(ctx.duration, 'rcon-duration badge badge-ghost badge-sm ml-2')}</span>` +
+      `</div>` +
+      (ctx.lines ? `<div class="font-mono text-sm">${ctx.lines}</div>` : '') +
+      `<div role="alert" class="alert alert-warning alert-soft mt-1 py-2">` +
+        `<span>${h.escape(ctx.note)}</span>${retryForm(ctx.command, h, 'btn btn-sm')}` +
+      `</div>` +
+    `</div>`,
+
+  error: (ctx, h) =>
+    `<div role="alert" class="rcon-error alert alert-error alert-soft my-1 py-2"><span>${h.escape(ctx.message)}</span></div>`,
+
+  info: (ctx, h) => `<div class="rcon-info text-sm text-info">${h.escape(ctx.message)}</div>`,
+
+  serverMessage: (ctx) => {
+    const tone = ctx.level === 'warning' ? 'text-warning' : ctx.level === 'error' ? 'text-error' : 'opacity-80';
+    return `<div class="rcon-server font-mono text-sm ${tone}">` +
+      `<span class="text-xs opacity-60 mr-2">${ctx.time}</span>${ctx.html}` +
+    `</div>`;
+  },
+
+  status: (ctx) => {
+    const tone = ctx.state === 'connected' ? 'badge-success'
+      : ctx.state === 'reconnecting' ? 'badge-warning'
+      : 'badge-error';
+    return `<span class="rcon-status badge ${tone}">${ctx.label}</span>`;
+  },
+
+  auth: minimal.auth,
+};
+
+const presets = { minimal, terminal, daisyui };
+
+/**
+ * Resolve the formatter's `templates` option: a preset name, or an object of
+ * template overrides with an optional `preset` to start from (default 'minimal').
+ */
+function resolveTemplates(option) {
+  if (!option) return minimal;
+
+  if (typeof option === 'string') {
+    const preset = presets[option];
+    if (!preset) {
+      const known = Object.keys(presets).map((n) => `"${n}"`).join(', ');
+      throw new Error(`rcon-htmx: unknown template preset "${option}" (built in: ${known})`);
+    }
+    return preset;
+  }
+
+  const { preset = 'minimal', ...overrides } = option;
+  for (const [kind, template] of Object.entries(overrides)) {
+    if (!KINDS.includes(kind)) throw new Error(`rcon-htmx: unknown template "${kind}"`);
+    if (typeof template !== 'function') throw new Error(`rcon-htmx: template "${kind}" must be a function`);
+  }
+  return { ...resolveTemplates(preset), ...overrides };
+}
+
+module.exports = { presets, resolveTemplates, lineClass, retryForm };
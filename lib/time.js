@@ -0,0 +1,166 @@
+'use strict';
+
+const { escapeHtml } = require('./html');
+
+/**
+ * Timestamps for the formatter, in a locale and time zone — one clock per session,
+ * so admins in different time zones each see their own.
+ *
+ * Times are rendered as <time> elements with the exact instant in `datetime`:
+ *
+ *   <time datetime="2026-10-19T17:30:15.000Z">7:30:15 PM</time>
+ *
+ * With `relative`, date-times (schedules, audit entries) read "5 minutes ago" or
+ * "in 2 hours", with the absolute time in the title. Console times stay absolute:
+ * they are rendered as lines arrive, so relative text would always say "now".
+ */
+
+const DEFAULT_LOCALE = 'en-US';
+
+// Console times: "7:30:15 PM" in en-US, "19:30:15" in de-DE
+const TIME_FORMAT = { timeStyle: 'medium' };
+
+// Schedule and audit times, which can be days away
+const DATE_TIME_FORMAT = {
+  year: 'numeric', month: 'numeric', day: 'numeric',
+  hour: 'numeric', minute: '2-digit', second: '2-digit',
+};
+
+// Largest unit first: [unit, seconds in one]
+const RELATIVE_UNITS = [
+  ['year', 365 * 86400],
+  ['month', 30 * 86400],
+  ['week', 7 * 86400],
+  ['day', 86400],
+  ['hour', 3600],
+  ['minute', 60],
+  ['second', 1],
+];
+
+/**
+ * Pick a locale from an Accept-Language header: the preferred language that Intl
+ * supports, else `fallback`.
+ */
+function negotiateLocale(header, fallback = DEFAULT_LOCALE) {
+  const ranges = String(header || '').split(',')
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map((p) => /^\s*q=([\d.]+)\s*$/.exec(p)).find(Boolean);
+      return { tag: tag.trim(), q: q ? Number(q[1]) : 1, i };
+    })
+    .filter((r) => r.tag && r.tag !== '*' && r.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i);
+
+  for (const { tag } of ranges) {
+    try {
+      const [supported] = Intl.DateTimeFormat.supportedLocalesOf([tag]);
+      if (supported) return supported;
+    } catch {
+      // Not a valid language tag
+    }
+  }
+
+  return fallback;
+}
+
+/**
+ * A clock for a locale and time zone.
+ *
+ * Options:
+ *   locale    - BCP 47 language tag (default: 'en-US')
+ *   timeZone  - IANA time zone, e.g. 'Europe/Berlin' (default: the server's)
+ *   format    - Intl.DateTimeFormat options for console times, or
+ *               function(date, { locale, timeZone }) => string
+ *               (default: { timeStyle: 'medium' })
+ *   relative  - show date-times relative to now, absolute in the title; console
+ *               times stay absolute (default: false)
+ *
+ * Throws on a locale or time zone Intl doesn't know.
+ *
+ * Returns an object with methods: text(date), time(date), dateTime(date),
+ * relativeText(date, now) and duration(ms).
+ */
+function createClock(options = {}) {
+  const locale = options.locale || DEFAULT_LOCALE;
+  const timeZone = options.timeZone || undefined;
+  const relative = Boolean(options.relative);
+
+  try {
+    Intl.getCanonicalLocales(locale);
+  } catch {
+    throw new Error(`rcon-htmx: invalid locale "${locale}"`);
+  }
+
+  let timeFormat;
+  let dateTimeFormat;
+  try {
+    timeFormat = typeof options.format === 'function' ? null
+      : new Intl.DateTimeFormat(locale, { ...(options.format || TIME_FORMAT), timeZone });
+    dateTimeFormat = new Intl.DateTimeFormat(locale, { ...DATE_TIME_FORMAT, timeZone });
+  } catch (err) {
+    if (timeZone && /time ?zone/i.test(err.message)) throw new Error(`rcon-htmx: unknown time zone "${timeZone}"`);
+    throw new Error(`rcon-htmx: invalid time format — ${err.message}`);
+  }
+
+  const relativeFormat = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+  const unit = (name, fractionDigits = 0) => new Intl.NumberFormat(locale, {
+    style: 'unit', unit: name, unitDisplay: 'narrow', maximumFractionDigits: fractionDigits,
+  });
+  const units = { ms: unit('millisecond'), s: unit('second', 1), m: unit('minute'), wholeSeconds: unit('second') };
+
+  function text(date) {
+    return timeFormat ? timeFormat.format(date) : String(options.format(date, { locale, timeZone }));
+  }
+
+  function relativeText(date, now = Date.now()) {
+    const seconds = (date.getTime() - now) / 1000;
+    for (const [name, size] of RELATIVE_UNITS) {
+      if (Math.abs(seconds) >= size || name === 'second') {
+        return relativeFormat.format(Math.round(seconds / size), name);
+      }
+    }
+  }
+
+  // A format function's output is escaped like Intl's
+  function element(date, absolute, asRelative) {
+    const iso = date.toISOString();
+    return asRelative
+      ? `<time datetime="${iso}" title="${escapeHtml(absolute)}">${escapeHtml(relativeText(date))}</time>`
+      : `<time datetime="${iso}">${escapeHtml(absolute)}</time>`;
+  }
+
+  return {
+    locale,
+    timeZone: timeZone || null,
+    relative,
+    text,
+    relativeText,
+
+    /**
+     * A console time as a <time> element. Always absolute.
+     */
+    time(date = new Date()) {
+      return element(date, text(date), false);
+    },
+
+    /**
+     * A date and time as a <time> element, for times that aren't today's —
+     * relative when the clock is.
+     */
+    dateTime(date) {
+      return element(date, dateTimeFormat.format(date), relative);
+    },
+
+    /**
+     * An elapsed time: "120ms", "1.4s", "2m 5s" in en-US.
+     */
+    duration(ms) {
+      if (ms < 1000) return units.ms.format(Math.max(0, Math.round(ms)));
+      if (ms < 60000) return units.s.format(ms / 1000);
+      const total = Math.round(ms / 1000);
+      return `${units.m.format(Math.floor(total / 60))} ${units.wholeSeconds.format(total % 60)}`;
+    },
+  };
+}
+
+module.exports = { createClock, negotiateLocale, DEFAULT_LOCALE };
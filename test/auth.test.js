@@ -0,0 +1,147 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { once } = require('events');
+const WebSocket = require('ws');
+const { createRconBridge, createMockSourceServer, createHistory } = require('..');
+
+const TOKENS = { 'secret-alice': { id: 'alice', name: 'Alice' } };
+
+/**
+ * A mock game server and a bridge that authenticates upgrades by bearer token,
+ * auditing into `records` and keeping history in `history`.
+ */
+async function startBridge(t) {
+  const game = createMockSourceServer({ commands: { status: 'hostname: Test Server' } });
+  const gamePort = await game.listen();
+
+  const records = [];
+  const history = createHistory();
+  const server = http.createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const wss = createRconBridge(server, {
+    host: '127.0.0.1',
+    port: gamePort,
+    password: 'password',
+    history,
+    audit: { sinks: [(record) => { records.push(record); }] },
+    authenticate: (req) => {
+      const m = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+      return m ? TOKENS[m[1]] || null : null;
+    },
+  });
+
+  t.after(async () => {
+    for (const client of wss.clients) client.terminate();
+    wss.close();
+    await new Promise((resolve) => server.close(resolve));
+    await game.close();
+  });
+
+  return { url: `ws://127.0.0.1:${server.address().port}/ws/rcon`, gamePort, records, history };
+}
+
+/**
+ * Open a JSON-mode socket; resolves with the socket and a next(type) that waits
+ * for the next message of that type.
+ */
+async function open(t, url, headers) {
+  const ws = new WebSocket(url, ['rcon-json'], { headers });
+  t.after(() => ws.close());
+  const messages = [];
+  const waiting = [];
+  ws.on('message', (raw) => {
+    const msg = JSON.parse(String(raw));
+    const i = waiting.findIndex((w) => w.type === msg.type);
+    if (i === -1) messages.push(msg);
+    else waiting.splice(i, 1)[0].resolve(msg);
+  });
+  await once(ws, 'open');
+
+  function next(type) {
+    const i = messages.findIndex((m) => m.type === type);
+    if (i !== -1) return Promise.resolve(messages.splice(i, 1)[0]);
+    return new Promise((resolve) => waiting.push({ type, resolve }));
+  }
+
+  return { ws, next };
+}
+
+/**
+ * Resolve once `check()` is true, giving up after a second.
+ */
+async function until(check) {
+  for (let i = 0; i < 100 && !check(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * The HTTP status an upgrade was refused with.
+ */
+async function rejectedStatus(url, headers) {
+  const ws = new WebSocket(url, ['rcon-json'], { headers });
+  ws.on('error', () => {});
+  const [req, res] = await once(ws, 'unexpected-response');
+  res.resume();
+  req.destroy();
+  return res.statusCode;
+}
+
+test('an upgrade without credentials is refused with 401', async (t) => {
+  const { url, records } = await startBridge(t);
+  assert.strictEqual(await rejectedStatus(url, {}), 401);
+  assert.strictEqual(records.length, 0);
+});
+
+test('an upgrade with the wrong credentials is refused with 401', async (t) => {
+  const { url } = await startBridge(t);
+  assert.strictEqual(await rejectedStatus(url, { authorization: 'Bearer wrong' }), 401);
+  assert.strictEqual(await rejectedStatus(url, { authorization: 'Basic c2VjcmV0LWFsaWNl' }), 401);
+});
+
+test('an authenticated session runs commands as its user', async (t) => {
+  const { url, gamePort, records, history } = await startBridge(t);
+  const { ws, next } = await open(t, url, { authorization: 'Bearer secret-alice' });
+
+  assert.strictEqual((await next('auth')).success, true);
+  ws.send(JSON.stringify({ command: 'status' }));
+  assert.strictEqual((await next('response')).body, 'hostname: Test Server');
+
+  // The audit record is written after the response is sent
+  await until(() => records.length > 0);
+  assert.strictEqual(records.length, 1);
+  assert.deepStrictEqual(records[0].user, { id: 'alice', name: 'Alice' });
+  assert.strictEqual(records[0].command, 'status');
+  assert.strictEqual(records[0].decision, 'allowed');
+
+  assert.deepStrictEqual(
+    history.list(`user:alice\n127.0.0.1:${gamePort}`).map((entry) => entry.command),
+    ['status'],
+  );
+
+  // A user's history outlives the session
+  ws.close();
+  await once(ws, 'close');
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.strictEqual(history.size(`user:alice\n127.0.0.1:${gamePort}`), 1);
+});
+
+test('an authenticate hook that throws a 403 refuses with 403', async (t) => {
+  const server = http.createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const wss = createRconBridge(server, {
+    authMode: 'client',
+    authenticate: () => {
+      throw Object.assign(new Error('banned'), { status: 403 });
+    },
+  });
+  t.after(() => {
+    wss.close();
+    return new Promise((resolve) => server.close(resolve));
+  });
+
+  assert.strictEqual(await rejectedStatus(`ws://127.0.0.1:${server.address().port}/ws/rcon`, {}), 403);
+});
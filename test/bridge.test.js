@@ -0,0 +1,187 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const net = require('net');
+const { once } = require('events');
+const WebSocket = require('ws');
+const { createRconBridge, createMetrics, createHistory, createMockSourceServer, Scheduler } = require('..');
+
+/**
+ * A port nothing listens on: bound once, then freed.
+ */
+async function closedPort() {
+  const server = net.createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+}
+
+/**
+ * Start an HTTP server with a bridge on it; `t.after` closes both.
+ */
+async function startBridge(t, options) {
+  const server = http.createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const wss = createRconBridge(server, options);
+  t.after(() => {
+    for (const client of wss.clients) client.terminate();
+    wss.close();
+    return new Promise((resolve) => server.close(resolve));
+  });
+  return { server, wss, port: server.address().port };
+}
+
+/**
+ * Open a JSON-mode session and wait for it to authenticate. `until(type)` resolves
+ * with every message so far once one of that type has arrived.
+ */
+async function openJson(port) {
+  const ws = new WebSocket(`ws://127.0.0.1:${port}/ws/rcon`, ['rcon-json']);
+  const messages = [];
+  ws.on('message', (raw) => messages.push(JSON.parse(String(raw))));
+  await once(ws, 'open');
+
+  async function until(type) {
+    while (!messages.some((m) => m.type === type)) await once(ws, 'message');
+    return messages;
+  }
+
+  await until('auth');
+  return { ws, until };
+}
+
+test('metrics against an unreachable server report sample errors instead of crashing', async (t) => {
+  const port = await closedPort();
+  const metrics = createMetrics({ interval: 60000 });
+  await startBridge(t, { host: '127.0.0.1', port, password: 'password', metrics });
+
+  const sampler = metrics.get(`127.0.0.1:${port}`);
+  const [err] = await once(sampler, 'sample-error');
+  assert.match(err.message, /ECONNREFUSED/);
+  assert.strictEqual(sampler.up, false);
+
+  // Let any stray 'error' event fire; an unhandled one would fail the run
+  await new Promise((resolve) => setTimeout(resolve, 50));
+});
+
+test('a scheduled run against an unreachable server records the failure', async (t) => {
+  const port = await closedPort();
+  const scheduler = new Scheduler();
+  t.after(() => scheduler.stop());
+  await startBridge(t, { host: '127.0.0.1', port, password: 'password', scheduler });
+
+  const schedule = await scheduler.add({ name: 'save', command: 'save', every: '1h' });
+  const lastRun = await scheduler.runNow(schedule.id);
+
+  assert.strictEqual(lastRun.ok, false);
+  assert.match(lastRun.error, /ECONNREFUSED/);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+});
+
+test('an anonymous session\'s history is dropped when it disconnects', async (t) => {
+  const game = createMockSourceServer({ commands: { status: 'ok' } });
+  const gamePort = await game.listen();
+  t.after(() => game.close());
+  const history = createHistory();
+  const { port } = await startBridge(t, { host: '127.0.0.1', port: gamePort, password: 'password', history });
+
+  const { ws, until } = await openJson(port);
+  ws.send(JSON.stringify({ command: 'status' }));
+  await until('response');
+  const key = `session:1\n127.0.0.1:${gamePort}`;
+  assert.strictEqual(history.size(key), 1);
+
+  ws.close();
+  await once(ws, 'close');
+  // The bridge sees the close on its own side a tick later
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.strictEqual(history.size(key), 0);
+});
+
+test('a JSON session gets no input-clearing history message, and response-end names its command', async (t) => {
+  const game = createMockSourceServer({ commands: { status: 'hostname: Test Server' } });
+  const gamePort = await game.listen();
+  t.after(() => game.close());
+  const { port } = await startBridge(t, {
+    host: '127.0.0.1', port: gamePort, password: 'password', history: true, streamOutput: true,
+  });
+
+  const { ws, until } = await openJson(port);
+  ws.send(JSON.stringify({ command: 'status' }));
+  const messages = await until('response-end');
+
+  assert.deepStrictEqual(messages.filter((m) => m.type === 'history'), []);
+  const end = messages.find((m) => m.type === 'response-end');
+  assert.strictEqual(end.command, 'status');
+  assert.strictEqual(end.state, 'done');
+
+  // Recall on request still answers
+  ws.send(JSON.stringify({ history: { offset: 0 } }));
+  const recalled = (await until('history')).find((m) => m.type === 'history');
+  assert.strictEqual(recalled.command, 'status');
+  assert.strictEqual(recalled.total, 1);
+});
+
+test('audited durations start when a command leaves the queue', async (t) => {
+  const game = createMockSourceServer({
+    commands: { slow: () => new Promise((resolve) => setTimeout(() => resolve('done'), 150)) },
+  });
+  const gamePort = await game.listen();
+  t.after(() => game.close());
+  const records = [];
+  const { port } = await startBridge(t, {
+    host: '127.0.0.1',
+    port: gamePort,
+    password: 'password',
+    queue: { maxInFlight: 1 },
+    audit: { sinks: [(record) => { records.push(record); }] },
+  });
+
+  const { ws } = await openJson(port);
+  ws.send(JSON.stringify({ command: 'slow' }));
+  ws.send(JSON.stringify({ command: 'slow' }));
+  for (let i = 0; i < 100 && records.length < 2; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+
+  assert.strictEqual(records.length, 2);
+  // The second waited ~150ms for the first; that wait isn't part of its duration
+  for (const record of records) {
+    assert.ok(record.duration >= 140 && record.duration < 250, `duration ${record.duration}`);
+  }
+});
+
+test('commands and macro runs share one rate limit', async (t) => {
+  const game = createMockSourceServer({ commands: { status: 'ok', kick: 'Kicked' } });
+  const gamePort = await game.listen();
+  t.after(() => game.close());
+  const records = [];
+  const { port } = await startBridge(t, {
+    host: '127.0.0.1',
+    port: gamePort,
+    password: 'password',
+    rateLimit: { burst: 1, perSecond: 0.001 },
+    macros: { kick: { params: ['player'], steps: ['kick {{player}}'] } },
+    audit: { sinks: [(record) => { records.push(record); }] },
+  });
+
+  const { ws, until } = await openJson(port);
+  ws.send(JSON.stringify({ command: 'status' }));
+  await until('response');
+  ws.send(JSON.stringify({ macro: 'kick', params: { player: 'bob' } }));
+  ws.send(JSON.stringify({ command: 'status' }));
+  const messages = await until('error');
+  while (messages.filter((m) => m.type === 'error').length < 2) await once(ws, 'message');
+
+  for (const error of messages.filter((m) => m.type === 'error')) {
+    assert.strictEqual(error.body, 'Too many commands — slow down and try again.');
+  }
+  assert.deepStrictEqual(
+    records.filter((r) => r.decision === 'blocked').map((r) => [r.command, r.reason]),
+    [['macro kick', 'rate limited'], ['status', 'rate limited']],
+  );
+  assert.deepStrictEqual(game.received, ['status']);
+});
@@ -0,0 +1,129 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createFormatter, escapeHtml, renderColors } = require('../lib/formatter');
+
+// Every tag the formatter itself writes, and the attributes it gives them
+const TAGS = new Set(['div', 'span', 'time', 'form', 'input', 'button', 'table', 'tr', 'td', 'th', 'thead', 'tbody', 'ol', 'li', 'code']);
+const ATTRIBUTES = new Set(['id', 'class', 'hx-swap-oob', 'datetime', 'title', 'type', 'name', 'value', 'ws-send']);
+
+/**
+ * Assert that `html` holds only the formatter's own tags and attributes, with every
+ * attribute value double-quoted — so nothing from the input became markup.
+ */
+function assertInert(html) {
+  const tags = /<\/?([a-zA-Z][\w-]*)([^>]*)>/g;
+  let m;
+  while ((m = tags.exec(html))) {
+    assert.ok(TAGS.has(m[1].toLowerCase()), `unexpected <${m[1]}> in ${html}`);
+    const rest = m[2].replace(/\s+([\w-]+)(?:="[^"]*")?/g, (attr, name) => {
+      assert.ok(ATTRIBUTES.has(name), `unexpected attribute ${name} in ${html}`);
+      return '';
+    });
+    assert.strictEqual(rest.trim(), '', `malformed tag ${m[0]}`);
+  }
+  assert.doesNotMatch(html, /<script/i);
+}
+
+const HOSTILE = [
+  '<script>alert(1)</script>',
+  '<img src=x onerror=alert(1)>',
+  '"><script>alert(1)</script>',
+  '\' onmouseover=\'alert(1)',
+  '" onmouseover="alert(1)',
+  '</span></div><script>alert(1)</script>',
+  '&lt;script&gt; already escaped',
+];
+
+test('escapeHtml escapes markup and both quote characters', () => {
+  assert.strictEqual(
+    escapeHtml('<a href="x" title=\'y\'>&</a>'),
+    '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;',
+  );
+});
+
+test('renderColors escapes text with and without colour codes', () => {
+  for (const text of HOSTILE) {
+    assertInert(renderColors(text));
+    assertInert(renderColors(`\x1b[31m${text}\x1b[0m`));
+    assertInert(renderColors(`<color=red>${text}</color>`));
+    assertInert(renderColors(`§c${text}§r`));
+    assertInert(renderColors(text, []));
+  }
+});
+
+test('colour tag arguments never reach the output', () => {
+  const inputs = [
+    '<color=red onmouseover=alert(1)>hi</color>',
+    '<color="><script>alert(1)</script>">hi</color>',
+    '<color=#ff0000" onclick="alert(1)>hi</color>',
+    '<color=\'red\' style=\'x\'>hi</color>',
+    '<size=20><script>alert(1)</script></size>',
+    '<material=1 onload=alert(1)>x',
+  ];
+  for (const text of inputs) {
+    const html = renderColors(text);
+    assertInert(html);
+    assert.doesNotMatch(html, /onmouseover=|onclick=|style=|onload=/);
+  }
+});
+
+test('unclosed and nested colour tags stay balanced', () => {
+  const nested = renderColors('<color=red>a<b>b<color=blue>c</color>d</b>e</color>f');
+  assertInert(nested);
+  assert.strictEqual(nested,
+    '<span class="rcon-fg-bright-red">a</span>' +
+    '<span class="rcon-fg-bright-red rcon-bold">b</span>' +
+    '<span class="rcon-fg-blue rcon-bold">c</span>' +
+    '<span class="rcon-fg-bright-red rcon-bold">d</span>' +
+    '<span class="rcon-fg-bright-red">e</span>f');
+
+  const unclosed = renderColors('<color=red><b><i>open <script>x</script>');
+  assertInert(unclosed);
+  assert.strictEqual(unclosed.match(/<span/g).length, unclosed.match(/<\/span>/g).length);
+
+  const strayClose = renderColors('</color></b>text</i>');
+  assertInert(strayClose);
+  assert.strictEqual(strayClose, 'text');
+
+  const ansi = renderColors('\x1b[1;31mred \x1b[38;5;300m\x1b[38;2;1;2mx <b>');
+  assertInert(ansi);
+});
+
+test('responses, errors and server messages escape hostile text', () => {
+  for (const colors of [false, true]) {
+    const fmt = createFormatter({ colors });
+    for (const text of HOSTILE) {
+      assertInert(fmt.response(text, text));
+      assertInert(fmt.timeout(text, text));
+      assertInert(fmt.error(text));
+      assertInert(fmt.info(text));
+      assertInert(fmt.serverMessage(text, 'Warning'));
+      assertInert(fmt.responseStart(text, 'block-1'));
+      assertInert(fmt.responseChunk('block-1', text));
+      assertInert(fmt.responseEnd('block-1', true, { state: 'timeout', command: text }));
+      assertInert(fmt.responseEnd('block-1', true, { state: 'failed', error: text }));
+    }
+  }
+});
+
+test('server ids cannot break out of attribute values', () => {
+  const fmt = createFormatter();
+  for (const id of HOSTILE) {
+    const picker = fmt.serverPicker([{ id, label: id }], id);
+    assertInert(picker);
+    assert.ok(picker.includes(`value="${escapeHtml(id)}"`));
+    assert.ok(picker.includes(`id="rcon-server-${escapeHtml(id)}"`));
+
+    const badge = fmt.serverStatus(id, 'connected');
+    assertInert(badge);
+    assert.doesNotMatch(badge, /'/);
+  }
+});
+
+test('player rows escape names and addresses', () => {
+  const fmt = createFormatter();
+  const players = HOSTILE.map((name, i) => ({ id: `p${i}'"`, name, steamId: name, address: name, ping: 1 }));
+  assertInert(fmt.players(players));
+});
@@ -0,0 +1,159 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { once } = require('events');
+const WebSocket = require('ws');
+const { RconConnection } = require('../lib/rcon');
+const { createMockSourceServer } = require('../lib/mock-server');
+const { createRconBridge } = require('..');
+const { createMacros, resolveParams, macroCommands, runMacro, expand } = require('../lib/macros');
+
+const macros = createMacros({
+  restart: {
+    params: { minutes: { default: '5', pattern: /^\d+$/ } },
+    steps: [
+      'say Restarting in {{minutes}} minutes',
+      { command: 'save', as: 'save' },
+      { delay: 10 },
+      {
+        if: /saved/i,
+        in: 'save',
+        then: ['quit'],
+        else: [{ abort: 'Save failed — not restarting' }],
+      },
+    ],
+  },
+  kick: { params: ['player'], steps: ['kick {{player}}'] },
+});
+
+test('params fall back to their defaults', () => {
+  assert.deepStrictEqual(resolveParams(macros.get('restart'), {}), { minutes: '5' });
+  assert.deepStrictEqual(resolveParams(macros.get('restart'), { minutes: 10 }), { minutes: '10' });
+});
+
+test('missing params and values failing their pattern are refused', () => {
+  assert.throws(() => resolveParams(macros.get('kick'), {}), /Missing parameter "player"/);
+  assert.throws(() => resolveParams(macros.get('kick'), { player: '' }), /Missing parameter "player"/);
+  assert.throws(() => resolveParams(macros.get('restart'), { minutes: '5m' }), /Invalid value for parameter "minutes"/);
+});
+
+test('params cannot smuggle in extra commands', () => {
+  for (const player of ['bob; quit', 'bob\nquit', 'bob\r\nquit', 'bob\rquit', 'bob\0quit']) {
+    assert.throws(
+      () => resolveParams(macros.get('kick'), { player }),
+      /Parameter "player" can't contain ";" or line breaks/,
+    );
+  }
+  // Undeclared params are checked too, since a step could still use them
+  assert.throws(() => resolveParams(macros.get('kick'), { player: 'bob', extra: ';quit' }), /Parameter "extra"/);
+});
+
+test('placeholders are filled in, and unknown ones are an error', () => {
+  assert.strictEqual(expand('kick {{player}} {{ reason }}', { player: 'bob', reason: 'afk' }), 'kick bob afk');
+  assert.throws(() => expand('kick {{player}}', {}), /Missing parameter "player"/);
+});
+
+test('macroCommands lists the commands of both branches', () => {
+  assert.deepStrictEqual(
+    macroCommands(macros.get('restart'), { minutes: '2' }),
+    ['say Restarting in 2 minutes', 'save', 'quit'],
+  );
+});
+
+/**
+ * A mock game server and a connected client; `t.after` tears both down.
+ */
+async function connect(t, commands) {
+  const game = createMockSourceServer({ commands });
+  const port = await game.listen();
+  const client = new RconConnection({ port, password: 'password', timeout: 1000 });
+  t.after(() => {
+    client.destroy();
+    return game.close();
+  });
+  await client.connect();
+
+  const exec = async (command) => {
+    try {
+      return { response: await client.exec(command) };
+    } catch (error) {
+      return { response: '', error };
+    }
+  };
+  return { game, exec };
+}
+
+test('a macro runs its steps against the server with params filled in', async (t) => {
+  const { game, exec } = await connect(t, { say: '', save: 'World saved', quit: 'Bye' });
+  const steps = [];
+
+  const outcome = await runMacro(macros.get('restart'), { minutes: '3' }, { exec, onStep: (s) => steps.push(s) });
+
+  assert.deepStrictEqual(outcome, { ok: true, error: null });
+  assert.deepStrictEqual(game.received, ['say Restarting in 3 minutes', 'save', 'quit']);
+  assert.deepStrictEqual(steps.map((s) => s.type), ['command', 'command', 'delay', 'branch', 'command']);
+  assert.strictEqual(steps[1].response, 'World saved');
+  assert.strictEqual(steps[3].matched, true);
+});
+
+test('an abort step stops the macro with its message', async (t) => {
+  const { game, exec } = await connect(t, { say: '', save: 'Save error: disk full' });
+
+  const outcome = await runMacro(macros.get('restart'), { minutes: '3' }, { exec });
+
+  assert.deepStrictEqual(outcome, { ok: false, error: 'Save failed — not restarting' });
+  assert.deepStrictEqual(game.received, ['say Restarting in 3 minutes', 'save']);
+});
+
+test('a cancelled run stops at the next step', async (t) => {
+  const { game, exec } = await connect(t, { say: '', save: 'World saved' });
+  const controller = new AbortController();
+
+  const running = runMacro(macros.get('restart'), { minutes: '3' }, {
+    exec,
+    signal: controller.signal,
+    onStep: (step) => { if (step.type === 'delay') controller.abort(); },
+  });
+
+  assert.deepStrictEqual(await running, { ok: false, error: 'Cancelled' });
+  assert.deepStrictEqual(game.received, ['say Restarting in 3 minutes', 'save']);
+});
+
+test('the bridge refuses a macro whose params contain ";" before running anything', async (t) => {
+  const game = createMockSourceServer({ commands: { kick: 'Kicked' } });
+  const gamePort = await game.listen();
+  t.after(() => game.close());
+  const server = http.createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const wss = createRconBridge(server, {
+    host: '127.0.0.1',
+    port: gamePort,
+    password: 'password',
+    macros: { kick: { params: ['player'], steps: ['kick {{player}}'] } },
+  });
+  t.after(() => {
+    for (const client of wss.clients) client.terminate();
+    wss.close();
+    return new Promise((resolve) => server.close(resolve));
+  });
+
+  const ws = new WebSocket(`ws://127.0.0.1:${server.address().port}/ws/rcon`, ['rcon-json']);
+  const messages = [];
+  ws.on('message', (raw) => messages.push(JSON.parse(String(raw))));
+  await once(ws, 'open');
+  while (!messages.some((m) => m.type === 'auth')) await once(ws, 'message');
+
+  ws.send(JSON.stringify({ macro: 'kick', params: { player: 'bob; quit' } }));
+  while (!messages.some((m) => m.type === 'error')) await once(ws, 'message');
+  assert.strictEqual(
+    messages.find((m) => m.type === 'error').body,
+    'Macro kick: Parameter "player" can\'t contain ";" or line breaks',
+  );
+
+  ws.send(JSON.stringify({ macro: 'kick', params: { player: 'bob' } }));
+  while (!messages.some((m) => m.type === 'macro-end')) await once(ws, 'message');
+  assert.strictEqual(messages.find((m) => m.type === 'macro-end').ok, true);
+  assert.deepStrictEqual(game.received, ['kick bob']);
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPolicy, fromHeader } = require('../lib/policy');
+
+const policy = createPolicy({
+  roles: {
+    viewer: { allow: ['status', 'players', 'echo *'] },
+    moderator: { inherits: 'viewer', allow: ['say *', 'kick *'] },
+    admin: { allow: ['*'], deny: ['quit', 'rcon_password *'] },
+  },
+});
+
+test('allows a command matching an allow rule', () => {
+  assert.strictEqual(policy.check('viewer', 'status').allowed, true);
+  assert.strictEqual(policy.check('viewer', 'echo hi').allowed, true);
+});
+
+test('blocks a command that matches no allow rule', () => {
+  const decision = policy.check('viewer', 'quit');
+  assert.strictEqual(decision.allowed, false);
+  assert.strictEqual(decision.reason, 'not allowed for role "viewer"');
+});
+
+test('deny rules win over allow rules', () => {
+  const decision = policy.check('admin', 'rcon_password hunter2');
+  assert.strictEqual(decision.allowed, false);
+  assert.strictEqual(decision.rule, 'rcon_password *');
+});
+
+test('inherited rules apply after the role\'s own', () => {
+  assert.strictEqual(policy.check('moderator', 'players').allowed, true);
+  assert.strictEqual(policy.check('moderator', 'kick bob').allowed, true);
+  assert.strictEqual(policy.check('viewer', 'kick bob').allowed, false);
+});
+
+test('unknown roles are blocked', () => {
+  assert.deepStrictEqual(policy.check('nobody', 'status'), {
+    allowed: false, role: 'nobody', rule: null, reason: 'unknown role "nobody"',
+  });
+});
+
+test('every command chained with ";" must pass', () => {
+  const decision = policy.check('viewer', 'echo hi; quit');
+  assert.strictEqual(decision.allowed, false);
+  assert.strictEqual(decision.reason, 'not allowed for role "viewer" (in "quit")');
+
+  assert.strictEqual(policy.check('admin', 'status;quit').allowed, false);
+  assert.strictEqual(policy.check('viewer', 'status; players').allowed, true);
+});
+
+test('line breaks separate commands like ";"', () => {
+  assert.strictEqual(policy.check('viewer', 'echo hi\nquit').allowed, false);
+  assert.strictEqual(policy.check('viewer', 'echo hi\r\nquit').allowed, false);
+  assert.strictEqual(policy.check('viewer', 'echo hi\rquit').allowed, false);
+  assert.strictEqual(policy.check('admin', 'say hi\r\nquit').allowed, false);
+});
+
+test('a deny rule cannot be dodged by hiding the command behind an allowed one', () => {
+  assert.strictEqual(policy.check('admin', 'say hi; rcon_password x').allowed, false);
+  assert.strictEqual(policy.check('admin', 'say hi;   QUIT  ').allowed, false);
+});
+
+test('globs match case-insensitively', () => {
+  assert.strictEqual(policy.check('viewer', 'STATUS').allowed, true);
+  assert.strictEqual(policy.check('admin', 'Quit').allowed, false);
+  assert.strictEqual(policy.check('admin', 'RCON_PASSWORD x').allowed, false);
+});
+
+test('whitespace inside a command is collapsed before matching', () => {
+  assert.strictEqual(policy.check('viewer', '  echo   hi  ').allowed, true);
+  assert.strictEqual(policy.check('admin', 'rcon_password\t x').allowed, false);
+});
+
+test('empty and whitespace-only segments are ignored', () => {
+  assert.strictEqual(policy.check('viewer', 'status;').allowed, true);
+  assert.strictEqual(policy.check('viewer', ';status;;  ;').allowed, true);
+  assert.strictEqual(policy.check('viewer', 'status;  \n quit').allowed, false);
+});
+
+test('a line with no command at all is blocked', () => {
+  assert.strictEqual(policy.check('admin', '').allowed, false);
+  assert.strictEqual(policy.check('admin', ' ; \n ').allowed, false);
+});
+
+test('resolveRole falls back to defaultRole', async () => {
+  const headerPolicy = createPolicy({ roles: { viewer: {} }, resolveRole: fromHeader('x-rcon-role') });
+  assert.strictEqual(await headerPolicy.resolveRole({ headers: { 'x-rcon-role': 'admin' } }, {}), 'admin');
+  assert.strictEqual(await headerPolicy.resolveRole({ headers: {} }, {}), 'viewer');
+});
@@ -0,0 +1,207 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const {
+  RconConnection,
+  encodePacket,
+  decodePacket,
+  SERVERDATA_AUTH,
+  SERVERDATA_AUTH_RESPONSE,
+  SERVERDATA_EXECCOMMAND,
+  SERVERDATA_RESPONSE_VALUE,
+} = require('../lib/rcon');
+const { createMockSourceServer } = require('../lib/mock-server');
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Start a mock server and an authenticated client; `t.after` tears both down.
+ */
+async function connect(t, serverOptions = {}, clientOptions = {}) {
+  const server = createMockSourceServer(serverOptions);
+  const port = await server.listen();
+  const client = new RconConnection({ port, password: 'password', timeout: 2000, ...clientOptions });
+  client.on('error', () => {});
+  t.after(() => {
+    client.destroy();
+    return server.close();
+  });
+  await client.connect();
+  return { server, client };
+}
+
+/**
+ * A bare Source RCON server that accepts any password and hands each command
+ * packet — with its sentinel — to `onCommand(socket, cmd, sentinel)`, so a test
+ * can answer in whatever order and framing it likes.
+ */
+async function rawServer(t, onCommand) {
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    let buf = Buffer.alloc(0);
+    let cmd = null;
+    socket.on('error', () => {});
+    socket.on('data', (chunk) => {
+      buf = Buffer.concat([buf, chunk]);
+      let pkt;
+      while ((pkt = decodePacket(buf))) {
+        buf = buf.slice(pkt.totalLength);
+        if (pkt.type === SERVERDATA_AUTH) {
+          socket.write(encodePacket(pkt.id, SERVERDATA_AUTH_RESPONSE, ''));
+        } else if (pkt.type === SERVERDATA_EXECCOMMAND) {
+          cmd = pkt;
+        } else if (pkt.type === SERVERDATA_RESPONSE_VALUE && cmd) {
+          onCommand(socket, cmd, pkt.id);
+          cmd = null;
+        }
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    for (const socket of sockets) socket.destroy();
+    return new Promise((resolve) => server.close(resolve));
+  });
+  return server.address().port;
+}
+
+const response = (id, body) => encodePacket(id, SERVERDATA_RESPONSE_VALUE, body);
+
+test('concurrent commands each get their own response', async (t) => {
+  const { client } = await connect(t, {
+    commands: {
+      slow: async () => { await delay(30); return 'slow done'; },
+      fast: 'fast done',
+      echo: (args) => args.join(' '),
+    },
+  });
+
+  const results = await Promise.all([
+    client.exec('slow'),
+    client.exec('fast'),
+    client.exec('echo one two'),
+  ]);
+
+  assert.deepStrictEqual(results, ['slow done', 'fast done', 'one two']);
+});
+
+test('interleaved response packets are routed by request id', async (t) => {
+  const waiting = [];
+  const port = await rawServer(t, (socket, cmd, sentinel) => {
+    waiting.push({ cmd, sentinel });
+    if (waiting.length < 2) return;
+
+    const [a, b] = waiting;
+    socket.write(Buffer.concat([
+      response(b.cmd.id, 'b1 '),
+      response(a.cmd.id, 'a1 '),
+      response(b.cmd.id, 'b2'),
+      response(a.cmd.id, 'a2'),
+      response(a.sentinel, ''),
+      response(b.sentinel, ''),
+    ]));
+  });
+
+  const client = new RconConnection({ port, timeout: 2000 });
+  t.after(() => client.destroy());
+  await client.connect();
+
+  const [a, b] = await Promise.all([client.exec('first'), client.exec('second')]);
+  assert.strictEqual(a, 'a1 a2');
+  assert.strictEqual(b, 'b1 b2');
+});
+
+test('packets split across TCP chunks are reassembled', async (t) => {
+  const { client } = await connect(t, {
+    chunkSize: 3,
+    commands: { status: 'hostname: Test Server\nplayers : 0 humans' },
+  });
+
+  assert.strictEqual(await client.exec('status'), 'hostname: Test Server\nplayers : 0 humans');
+  assert.strictEqual(await client.exec('nope'), 'Unknown command: nope');
+});
+
+test('several packets in one TCP chunk are all read', async (t) => {
+  const port = await rawServer(t, (socket, cmd, sentinel) => {
+    socket.write(Buffer.concat([
+      response(cmd.id, 'one '),
+      response(cmd.id, 'two'),
+      response(sentinel, ''),
+    ]));
+  });
+
+  const client = new RconConnection({ port, timeout: 2000 });
+  t.after(() => client.destroy());
+  await client.connect();
+
+  assert.strictEqual(await client.exec('cvarlist'), 'one two');
+});
+
+test('multi-packet responses are joined in order', async (t) => {
+  const body = Array.from({ length: 50 }, (_, i) => `line ${i}`).join('\n');
+  const { client } = await connect(t, { maxPacketBody: 16, commands: { cvarlist: body } });
+
+  assert.strictEqual(await client.exec('cvarlist'), body);
+});
+
+test('execStream delivers a multi-packet response in full', async (t) => {
+  const { client } = await connect(t, { maxPacketBody: 4, commands: { status: 'abcdefghij' } });
+
+  const chunks = [];
+  for await (const chunk of client.execStream('status')) chunks.push(chunk);
+
+  assert.strictEqual(chunks.join(''), 'abcdefghij');
+});
+
+test('the SRCDS trailer after a sentinel is not mistaken for output', async (t) => {
+  // The mock answers every sentinel with the empty mirror plus the "\0\0\1\0" trailer
+  const { client } = await connect(t, { commands: { a: 'first', b: 'second', empty: '' } });
+
+  assert.strictEqual(await client.exec('a'), 'first');
+  assert.strictEqual(await client.exec('empty'), '');
+  assert.strictEqual(await client.exec('b'), 'second');
+  assert.deepStrictEqual(
+    await Promise.all([client.exec('a'), client.exec('empty'), client.exec('b')]),
+    ['first', '', 'second'],
+  );
+});
+
+test('in-flight commands fail when the connection closes', async (t) => {
+  const port = await rawServer(t, (socket) => setTimeout(() => socket.destroy(), 20));
+
+  const client = new RconConnection({ port, timeout: 5000 });
+  client.on('error', () => {});
+  t.after(() => client.destroy());
+  await client.connect();
+
+  const started = Date.now();
+  await assert.rejects(client.exec('hang'), { message: 'Connection closed' });
+  assert.ok(Date.now() - started < 1000, 'rejected on close, not on timeout');
+});
+
+test('a partial packet from a dropped socket does not break the next connection', async (t) => {
+  let connections = 0;
+  const port = await rawServer(t, (socket, cmd, sentinel) => {
+    if (connections === 1) {
+      socket.write(response(cmd.id, 'cut off').slice(0, 7));
+      setTimeout(() => socket.destroy(), 20);
+    } else {
+      socket.write(Buffer.concat([response(cmd.id, 'ok'), response(sentinel, '')]));
+    }
+  });
+
+  const client = new RconConnection({ port, timeout: 2000 });
+  client.on('error', () => {});
+  t.after(() => client.destroy());
+
+  connections++;
+  await client.connect();
+  await assert.rejects(client.exec('first'));
+
+  connections++;
+  await client.connect();
+  assert.strictEqual(await client.exec('second'), 'ok');
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const { RconConnection } = require('../lib/rcon');
+const { createMockSourceServer } = require('../lib/mock-server');
+const { normalizeReconnect, backoffDelay } = require('../lib/reconnect');
+
+test('normalizeReconnect fills in the defaults', () => {
+  assert.strictEqual(normalizeReconnect(false), null);
+  assert.deepStrictEqual(normalizeReconnect(true), {
+    maxAttempts: 10, initialDelay: 1000, maxDelay: 30000, factor: 2, jitter: 0.5,
+  });
+  assert.strictEqual(normalizeReconnect({ maxAttempts: 3 }).maxAttempts, 3);
+  assert.strictEqual(normalizeReconnect({ maxAttempts: 3 }).initialDelay, 1000);
+});
+
+test('backoff grows by factor per attempt and is capped at maxDelay', () => {
+  const policy = normalizeReconnect({ initialDelay: 100, factor: 2, maxDelay: 1000, jitter: 0 });
+  assert.deepStrictEqual([1, 2, 3, 4, 5, 6].map((n) => backoffDelay(policy, n)), [100, 200, 400, 800, 1000, 1000]);
+});
+
+test('jitter only shortens the delay, by at most its fraction', () => {
+  const policy = normalizeReconnect({ initialDelay: 1000, jitter: 0.5 });
+  for (let i = 0; i < 50; i++) {
+    const delay = backoffDelay(policy, 1);
+    assert.ok(delay >= 500 && delay <= 1000, `${delay} out of range`);
+  }
+});
+
+/**
+ * A mock server and a client with a fast reconnect policy; `t.after` tears both down.
+ */
+async function connect(t, reconnect) {
+  const server = createMockSourceServer({ commands: { status: 'ok' } });
+  const port = await server.listen();
+  const client = new RconConnection({ port, password: 'password', timeout: 1000, reconnect });
+  client.on('error', () => {});
+  t.after(() => {
+    client.destroy();
+    return server.close();
+  });
+  await client.connect();
+  return { server, client, port };
+}
+
+test('a dropped connection is re-established and usable again', async (t) => {
+  const { server, client } = await connect(t, { initialDelay: 10, jitter: 0 });
+
+  const reconnecting = once(client, 'reconnecting');
+  const reconnected = once(client, 'reconnected');
+  server.disconnectAll();
+
+  const [attempt, delay] = await reconnecting;
+  assert.strictEqual(attempt, 1);
+  assert.strictEqual(delay, 10);
+  assert.deepStrictEqual(await reconnected, [1]);
+  assert.strictEqual(client.reconnecting, false);
+  assert.strictEqual(await client.exec('status'), 'ok');
+});
+
+test('gives up with reconnect-failed after maxAttempts, backing off between tries', async (t) => {
+  const { server, client } = await connect(t, { initialDelay: 10, factor: 2, jitter: 0, maxAttempts: 3 });
+
+  const attempts = [];
+  client.on('reconnecting', (attempt, delay) => attempts.push([attempt, delay]));
+  const failed = once(client, 'reconnect-failed');
+  await server.close();
+
+  const [err] = await failed;
+  assert.match(err.message, /ECONNREFUSED/);
+  assert.deepStrictEqual(attempts, [[1, 10], [2, 20], [3, 40]]);
+  assert.strictEqual(client.reconnecting, false);
+  assert.strictEqual(client.connected, false);
+});
+
+test('destroy() cancels a pending reconnect', async (t) => {
+  const { server, client } = await connect(t, { initialDelay: 50, jitter: 0 });
+
+  const reconnecting = once(client, 'reconnecting');
+  server.disconnectAll();
+  await reconnecting;
+  client.destroy();
+
+  let reconnected = false;
+  client.on('reconnected', () => { reconnected = true; });
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.strictEqual(reconnected, false);
+  assert.strictEqual(client.connected, false);
+});